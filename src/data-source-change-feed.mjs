@@ -0,0 +1,309 @@
+const defaultWebSocketOptions = {
+  retryDelay: 1000,
+  maxRetryDelay: 30000,
+};
+
+const defaultEventSourceOptions = {
+  retryDelay: 1000,
+  maxRetryDelay: 30000,
+};
+
+/**
+ * Change feed that receives notifications from a Django Channels consumer
+ * through a WebSocket. The data source tells the feed which folders it has
+ * cached, and the feed passes them on to the server in a "subscribe" message.
+ */
+class RelaksDjangoWebSocketChangeFeed {
+  constructor(url, options) {
+    this.url = url;
+    this.options = { ...defaultWebSocketOptions, ...options };
+    this.dataSource = null;
+    this.socket = null;
+    this.folderURLs = [];
+    this.retries = 0;
+    this.reconnectTimeout = 0;
+    this.disconnectTime = null;
+  }
+
+  /**
+   * Start receiving notifications on behalf of a data source
+   *
+   * @param  {DataSource} dataSource
+   */
+  connect(dataSource) {
+    if (this.dataSource) {
+      this.disconnect();
+    }
+    this.dataSource = dataSource;
+    this.openSocket();
+  }
+
+  /**
+   * Stop receiving notifications
+   */
+  disconnect() {
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = 0;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      // a message might still arrive after the data source is gone
+      socket.onopen = null;
+      socket.onmessage = null;
+      socket.onclose = null;
+      socket.close();
+    }
+    this.dataSource = null;
+    this.retries = 0;
+    this.disconnectTime = null;
+  }
+
+  /**
+   * Change the folders for which notifications are sent
+   *
+   * @param  {Array<String>} folderURLs
+   */
+  subscribe(folderURLs) {
+    this.folderURLs = folderURLs;
+    this.sendSubscription();
+  }
+
+  /**
+   * Open a WebSocket connection to the server
+   */
+  openSocket() {
+    const socket = new WebSocket(this.getSocketURL());
+    socket.onopen = () => {
+      this.retries = 0;
+      this.sendSubscription();
+      if (this.disconnectTime) {
+        // notifications sent while we were disconnected are lost
+        this.dataSource.invalidate(this.disconnectTime);
+        this.disconnectTime = null;
+      }
+    };
+    socket.onmessage = (evt) => {
+      let change;
+      try {
+        change = JSON.parse(evt.data);
+      } catch (err) {
+        if (process.env.NODE_ENV !== 'production') {
+          console.warn('Unable to parse change notification: ' + err.message);
+        }
+        return;
+      }
+      this.dataSource.applyChange(change);
+    };
+    socket.onclose = () => {
+      this.socket = null;
+      if (!this.disconnectTime) {
+        this.disconnectTime = new Date;
+      }
+      this.scheduleReconnection();
+    };
+    this.socket = socket;
+  }
+
+  /**
+   * Try to connect again after a delay, doubling it with each attempt
+   */
+  scheduleReconnection() {
+    const delay = getReconnectionDelay(this.options, this.retries++);
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = 0;
+      if (this.dataSource) {
+        this.openSocket();
+      }
+    }, delay);
+  }
+
+  /**
+   * Send the list of folders to the server, if the connection is open
+   */
+  sendSubscription() {
+    const { socket } = this;
+    if (socket && socket.readyState === 1) {
+      socket.send(JSON.stringify({
+        type: 'subscribe',
+        folders: this.folderURLs,
+      }));
+    }
+  }
+
+  /**
+   * Return the absolute URL of the WebSocket endpoint. A relative URL is
+   * resolved in the same manner as other URLs.
+   *
+   * @return {String}
+   */
+  getSocketURL() {
+    if (/^wss?:/.test(this.url)) {
+      return this.url;
+    }
+    const absURL = this.dataSource.resolveURL(this.url);
+    return absURL.replace(/^http/, 'ws');
+  }
+}
+
+/**
+ * Change feed that receives notifications through server-sent events. The
+ * server is expected to give each event a sequential numeric id. The browser
+ * sends the id of the last event received when it reconnects, so that the
+ * server can resend the events that were missed. When the ids show that
+ * events were lost nonetheless, cached queries are invalidated.
+ */
+class RelaksDjangoEventSourceChangeFeed {
+  constructor(url, options) {
+    this.url = url;
+    this.options = { ...defaultEventSourceOptions, ...options };
+    this.dataSource = null;
+    this.eventSource = null;
+    this.folderURLs = [];
+    this.lastEventID = null;
+    this.lastEventTime = null;
+    this.retries = 0;
+    this.reconnectTimeout = 0;
+  }
+
+  /**
+   * Start receiving notifications on behalf of a data source
+   *
+   * @param  {DataSource} dataSource
+   */
+  connect(dataSource) {
+    if (this.dataSource) {
+      this.disconnect();
+    }
+    this.dataSource = dataSource;
+    this.openEventSource();
+  }
+
+  /**
+   * Stop receiving notifications
+   */
+  disconnect() {
+    clearTimeout(this.reconnectTimeout);
+    this.reconnectTimeout = 0;
+    if (this.eventSource) {
+      const eventSource = this.eventSource;
+      this.eventSource = null;
+      eventSource.onopen = null;
+      eventSource.onmessage = null;
+      eventSource.onerror = null;
+      eventSource.close();
+    }
+    this.dataSource = null;
+    this.lastEventID = null;
+    this.lastEventTime = null;
+    this.retries = 0;
+  }
+
+  /**
+   * Remember the folders with cached queries. Server-sent events only
+   * travel in one direction, so the server sends notifications for all
+   * folders.
+   *
+   * @param  {Array<String>} folderURLs
+   */
+  subscribe(folderURLs) {
+    this.folderURLs = folderURLs;
+  }
+
+  /**
+   * Open a connection to the server
+   */
+  openEventSource() {
+    // send cookies along, even to a different origin
+    const { authenticationScheme } = this.dataSource.options;
+    const eventSource = new EventSource(this.getEventSourceURL(), {
+      withCredentials: (authenticationScheme === 'session'),
+    });
+    eventSource.onopen = () => {
+      this.retries = 0;
+    };
+    eventSource.onmessage = (evt) => {
+      const eventID = parseInt(evt.lastEventId);
+      if (!isNaN(eventID)) {
+        if (this.lastEventID !== null && eventID !== this.lastEventID + 1) {
+          // events have gone missing--the server might not have been able
+          // to resend them or it might have restarted; queries performed
+          // before the last event received would have missed them
+          this.dataSource.invalidate(this.lastEventTime);
+        }
+        this.lastEventID = eventID;
+        this.lastEventTime = new Date;
+      }
+      let change;
+      try {
+        change = JSON.parse(evt.data);
+      } catch (err) {
+        if (process.env.NODE_ENV !== 'production') {
+          console.warn('Unable to parse change notification: ' + err.message);
+        }
+        return;
+      }
+      this.dataSource.applyChange(change);
+    };
+    eventSource.onerror = () => {
+      if (eventSource.readyState === 2) {
+        // the browser has given up (the server has probably responded
+        // with an error); try again later
+        eventSource.close();
+        this.eventSource = null;
+        this.scheduleReconnection();
+      }
+    };
+    this.eventSource = eventSource;
+  }
+
+  /**
+   * Try to connect again after a delay, doubling it with each attempt
+   */
+  scheduleReconnection() {
+    const delay = getReconnectionDelay(this.options, this.retries++);
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = 0;
+      if (this.dataSource) {
+        this.openEventSource();
+      }
+    }, delay);
+  }
+
+  /**
+   * Return the absolute URL of the event stream. The id of the last event
+   * received is added to the query string, since a new EventSource object
+   * doesn't send it in the Last-Event-ID header.
+   *
+   * @return {String}
+   */
+  getEventSourceURL() {
+    let absURL = this.dataSource.resolveURL(this.url);
+    if (this.lastEventID !== null) {
+      const sep = (absURL.indexOf('?') === -1) ? '?' : '&';
+      absURL += sep + 'lastEventId=' + this.lastEventID;
+    }
+    return absURL;
+  }
+}
+
+/**
+ * Return the delay before the next reconnection attempt, randomized so that
+ * clients don't reconnect in unison
+ *
+ * @param  {Object} options
+ * @param  {Number} attempt
+ *
+ * @return {Number}
+ */
+function getReconnectionDelay(options, attempt) {
+  const { retryDelay, maxRetryDelay } = options;
+  const delay = Math.min(maxRetryDelay, retryDelay * Math.pow(2, attempt));
+  return (delay / 2) + Math.random() * (delay / 2);
+}
+
+export {
+  RelaksDjangoWebSocketChangeFeed,
+  RelaksDjangoWebSocketChangeFeed as WebSocketChangeFeed,
+  RelaksDjangoEventSourceChangeFeed,
+  RelaksDjangoEventSourceChangeFeed as EventSourceChangeFeed,
+};
@@ -1,12 +1,112 @@
 class RelaksDjangoDataSourceError extends Error {
-  constructor(status, message) {
+  constructor(status, message, body, context) {
     super(message);
     this.status = status;
     this.message = message;
+    this.body = (body !== undefined) ? body : null;
+    // information about the request, useful for error reporting
+    this.url = (context && context.url) || null;
+    this.method = (context && context.method) || null;
+    this.headers = (context && context.headers) || null;
+    this.rawBody = (context && context.rawBody) || null;
+    this.cause = (context && context.cause) || null;
+    this.fieldErrors = {};
+    this.nonFieldErrors = [];
+    this.detail = message;
+    if (body instanceof Array) {
+      this.nonFieldErrors = body;
+      if (typeof(body[0]) === 'string') {
+        this.detail = body[0];
+      }
+    } else if (body instanceof Object) {
+      // response from Django REST Framework
+      let detail;
+      for (let name in body) {
+        const value = body[name];
+        if (name === 'detail' && typeof(value) === 'string') {
+          detail = value;
+        } else if (name === 'non_field_errors') {
+          this.nonFieldErrors = (value instanceof Array) ? value : [ value ];
+        } else {
+          // leave errors of nested serializers as they are
+          this.fieldErrors[name] = (value instanceof Object) ? value : [ value ];
+        }
+      }
+      if (!detail) {
+        detail = this.nonFieldErrors[0];
+      }
+      if (!detail) {
+        for (let name in this.fieldErrors) {
+          const errors = this.fieldErrors[name];
+          if (errors instanceof Array && typeof(errors[0]) === 'string') {
+            detail = name + ': ' + errors[0];
+            break;
+          }
+        }
+      }
+      if (detail) {
+        this.detail = detail;
+      }
+    }
   }
 }
 
+/**
+ * Error thrown when the server could not be reached
+ */
+class RelaksDjangoDataSourceNetworkError extends RelaksDjangoDataSourceError {
+  constructor(cause, context) {
+    super(0, cause.message, null, { ...context, cause });
+  }
+}
+
+class RelaksDjangoDataSourceTimeoutError extends RelaksDjangoDataSourceError {
+  constructor(timeout, context) {
+    super(408, 'Request Timeout', null, context);
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error thrown when the server responds with 401 Unauthorized
+ */
+class RelaksDjangoDataSourceAuthenticationError extends RelaksDjangoDataSourceError {}
+
+/**
+ * Error thrown when the server responds with 403 Forbidden
+ */
+class RelaksDjangoDataSourcePermissionError extends RelaksDjangoDataSourceError {}
+
+/**
+ * Error thrown when the server responds with 400 Bad Request
+ */
+class RelaksDjangoDataSourceValidationError extends RelaksDjangoDataSourceError {}
+
+/**
+ * Error thrown when the server responds with 409 Conflict
+ */
+class RelaksDjangoDataSourceConflictError extends RelaksDjangoDataSourceError {}
+
+/**
+ * Error thrown when the server responds with a 5xx status code
+ */
+class RelaksDjangoDataSourceServerError extends RelaksDjangoDataSourceError {}
+
 export {
   RelaksDjangoDataSourceError,
   RelaksDjangoDataSourceError as DataSourceError,
+  RelaksDjangoDataSourceNetworkError,
+  RelaksDjangoDataSourceNetworkError as NetworkError,
+  RelaksDjangoDataSourceTimeoutError,
+  RelaksDjangoDataSourceTimeoutError as TimeoutError,
+  RelaksDjangoDataSourceAuthenticationError,
+  RelaksDjangoDataSourceAuthenticationError as AuthenticationError,
+  RelaksDjangoDataSourcePermissionError,
+  RelaksDjangoDataSourcePermissionError as PermissionError,
+  RelaksDjangoDataSourceValidationError,
+  RelaksDjangoDataSourceValidationError as ValidationError,
+  RelaksDjangoDataSourceConflictError,
+  RelaksDjangoDataSourceConflictError as ConflictError,
+  RelaksDjangoDataSourceServerError,
+  RelaksDjangoDataSourceServerError as ServerError,
 };
@@ -19,28 +19,48 @@ class RelaksDjangoDataSourceProxy {
     return this.dataSource.fetchPage(url, page, options);
   }
 
-  insertOne(folderURL, object) {
-    return this.dataSource.insertOne(folderURL, object);
+  fetchRange(url, offset, limit, options) {
+    return this.dataSource.fetchRange(url, offset, limit, options);
   }
 
-  insertMultiple(folderURL, objects) {
-    return this.dataSource.insertMultiple(folderURL, objects);
+  fetchBlob(url, options) {
+    return this.dataSource.fetchBlob(url, options);
   }
 
-  updateOne(folderURL, object) {
-    return this.dataSource.updateOne(folderURL, object);
+  fetchText(url, options) {
+    return this.dataSource.fetchText(url, options);
   }
 
-  updateMultiple(folderURL, objects) {
-    return this.dataSource.updateMultiple(folderURL, objects);
+  insertOne(folderURL, object, options) {
+    return this.dataSource.insertOne(folderURL, object, options);
   }
 
-  deleteOne(folderURL, object) {
-    return this.dataSource.deleteOne(folderURL, object);
+  insertMultiple(folderURL, objects, options) {
+    return this.dataSource.insertMultiple(folderURL, objects, options);
   }
 
-  deleteMultiple(folderURL, objects) {
-    return this.dataSource.deleteMultiple(folderURL, objects);
+  updateOne(folderURL, object, options) {
+    return this.dataSource.updateOne(folderURL, object, options);
+  }
+
+  updateMultiple(folderURL, objects, options) {
+    return this.dataSource.updateMultiple(folderURL, objects, options);
+  }
+
+  patchOne(folderURL, object, options) {
+    return this.dataSource.patchOne(folderURL, object, options);
+  }
+
+  patchMultiple(folderURL, objects, options) {
+    return this.dataSource.patchMultiple(folderURL, objects, options);
+  }
+
+  deleteOne(folderURL, object, options) {
+    return this.dataSource.deleteOne(folderURL, object, options);
+  }
+
+  deleteMultiple(folderURL, objects, options) {
+    return this.dataSource.deleteMultiple(folderURL, objects, options);
   }
 
   authenticate(url, credentials) {
@@ -0,0 +1,161 @@
+/**
+ * Storage that keeps entries in memory. Mainly useful for testing, or for
+ * sharing cached results between data source instances.
+ */
+class RelaksDjangoMemoryStorage {
+  constructor() {
+    this.entries = {};
+  }
+
+  /**
+   * Load an entry
+   *
+   * @param  {String} key
+   *
+   * @return {Promise<*>}
+   */
+  load(key) {
+    const json = this.entries[key];
+    return Promise.resolve((json) ? JSON.parse(json) : undefined);
+  }
+
+  /**
+   * Save an entry
+   *
+   * @param  {String} key
+   * @param  {*} value
+   *
+   * @return {Promise}
+   */
+  save(key, value) {
+    this.entries[key] = JSON.stringify(value);
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove an entry
+   *
+   * @param  {String} key
+   *
+   * @return {Promise}
+   */
+  remove(key) {
+    delete this.entries[key];
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Storage that keeps entries in the browser's localStorage
+ */
+class RelaksDjangoLocalStorage {
+  constructor(prefix) {
+    this.prefix = prefix || 'relaks-django';
+  }
+
+  load(key) {
+    return new Promise((resolve) => {
+      const json = localStorage.getItem(this.prefix + ':' + key);
+      resolve((json) ? JSON.parse(json) : undefined);
+    });
+  }
+
+  save(key, value) {
+    return new Promise((resolve) => {
+      localStorage.setItem(this.prefix + ':' + key, JSON.stringify(value));
+      resolve();
+    });
+  }
+
+  remove(key) {
+    return new Promise((resolve) => {
+      localStorage.removeItem(this.prefix + ':' + key);
+      resolve();
+    });
+  }
+}
+
+/**
+ * Storage that keeps entries in an IndexedDB database
+ */
+class RelaksDjangoIndexedDBStorage {
+  constructor(databaseName) {
+    this.databaseName = databaseName || 'relaks-django';
+    this.databasePromise = null;
+  }
+
+  load(key) {
+    return this.runTransaction('readonly', (store) => {
+      return store.get(key);
+    });
+  }
+
+  save(key, value) {
+    return this.runTransaction('readwrite', (store) => {
+      return store.put(value, key);
+    }).then(() => {});
+  }
+
+  remove(key) {
+    return this.runTransaction('readwrite', (store) => {
+      return store.delete(key);
+    }).then(() => {});
+  }
+
+  /**
+   * Open the database, creating the object store if necessary
+   *
+   * @return {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (!this.databasePromise) {
+      this.databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('entries');
+        };
+        request.onsuccess = () => {
+          resolve(request.result);
+        };
+        request.onerror = () => {
+          this.databasePromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.databasePromise;
+  }
+
+  /**
+   * Perform an operation on the object store, returning the request's result
+   * once the transaction has completed
+   *
+   * @param  {String} mode
+   * @param  {Function} cb
+   *
+   * @return {Promise<*>}
+   */
+  runTransaction(mode, cb) {
+    return this.openDatabase().then((db) => {
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction('entries', mode);
+        const request = cb(transaction.objectStore('entries'));
+        transaction.oncomplete = () => {
+          resolve(request.result);
+        };
+        transaction.onerror = transaction.onabort = () => {
+          reject(transaction.error);
+        };
+      });
+    });
+  }
+}
+
+export {
+  RelaksDjangoMemoryStorage,
+  RelaksDjangoMemoryStorage as MemoryStorage,
+  RelaksDjangoLocalStorage,
+  RelaksDjangoLocalStorage as LocalStorage,
+  RelaksDjangoIndexedDBStorage,
+  RelaksDjangoIndexedDBStorage as IndexedDBStorage,
+};
@@ -1,13 +1,49 @@
 import { EventEmitter } from 'relaks-event-emitter';
-import { DataSourceError } from './data-source-error.mjs';
+import {
+  DataSourceError,
+  NetworkError,
+  TimeoutError,
+  AuthenticationError,
+  PermissionError,
+  ValidationError,
+  ConflictError,
+  ServerError,
+} from './data-source-error.mjs';
 import { DataSourceEvent } from './data-source-event.mjs';
 
+const defaultRetryPolicy = {
+  methods: [ 'GET' ],
+  statuses: [ 502, 503, 504 ],
+  count: 3,
+  delay: 500,
+  maxDelay: 10000,
+};
+
 const defaultOptions = {
   baseURL: '',
   refreshInterval: 0,
   authorizationKeyword: 'Token',
+  authenticationScheme: 'token',
+  csrfCookieName: 'csrftoken',
+  csrfHeaderName: 'X-CSRFToken',
+  csrfURL: null,
+  tokenRefreshURL: '/token/refresh/',
+  oauthClientID: null,
+  oauthScope: null,
   abbreviatedFolderContents: false,
+  pagination: 'page',
+  pageSize: 0,
   fetchFunc: null,
+  responseParsers: {},
+  storage: null,
+  authorizationStorage: null,
+  maxQueries: 0,
+  maxObjects: 0,
+  retryPolicy: defaultRetryPolicy,
+  timeout: 0,
+  offlineQueue: false,
+  changeFeed: null,
+  broadcastChannel: null,
 };
 
 class RelaksDjangoDataSource extends EventEmitter {
@@ -26,6 +62,52 @@ class RelaksDjangoDataSource extends EventEmitter {
         this.options[name] = defaultOptions[name];
       }
     }
+    const { authenticationScheme } = this.options;
+    if (usesBearerTokens(authenticationScheme)) {
+      if (!options || !options.authorizationKeyword) {
+        // keyword used by Simple JWT and Django OAuth Toolkit
+        this.options.authorizationKeyword = 'Bearer';
+      }
+    }
+    if (authenticationScheme === 'oauth2') {
+      if (!options || !options.tokenRefreshURL) {
+        // access tokens are refreshed through the token endpoint
+        this.options.tokenRefreshURL = '/o/token/';
+      }
+    }
+    if (this.options.retryPolicy) {
+      // fill in missing parameters
+      const policy = this.options.retryPolicy;
+      this.options.retryPolicy = Object.assign({}, defaultRetryPolicy, policy);
+    }
+    this.restorationPromise = null;
+    this.saveTimeout = 0;
+    this.accessCounter = 0;
+    this.placeholderCounter = 0;
+    this.csrfPromise = null;
+    this.authorizationRestorationPromise = null;
+    this.mutations = [];
+    this.replayPromise = null;
+    this.replayRequested = false;
+    this.subscribedFolderURLs = null;
+    this.broadcastChannel = null;
+    this.receivingBroadcast = false;
+    this.handleOnline = () => {
+      this.replayMutations();
+    };
+    this.handleBroadcast = (evt) => {
+      this.receiveBroadcast(evt.data);
+    };
+    if (this.options.authorizationStorage) {
+      this.authorizationRestorationPromise = this.restoreAuthorizations();
+    }
+    if (this.options.storage) {
+      this.restorationPromise = this.restoreQueries().then(() => {
+        if (this.options.offlineQueue) {
+          return this.restoreMutations();
+        }
+      });
+    }
   }
 
   /**
@@ -41,6 +123,20 @@ class RelaksDjangoDataSource extends EventEmitter {
       }
       this.startExpirationCheck();
       this.checkExpiration();
+      if (this.options.offlineQueue) {
+        if (typeof(window) === 'object') {
+          window.addEventListener('online', this.handleOnline);
+        }
+        this.replayMutations();
+      }
+      if (this.options.changeFeed) {
+        this.options.changeFeed.connect(this);
+        this.subscribedFolderURLs = null;
+        this.updateSubscriptions();
+      }
+      if (this.options.broadcastChannel) {
+        this.openBroadcastChannel();
+      }
     }
   }
 
@@ -50,6 +146,13 @@ class RelaksDjangoDataSource extends EventEmitter {
   deactivate() {
     if (this.active) {
       this.stopExpirationCheck();
+      if (this.options.changeFeed) {
+        this.options.changeFeed.disconnect();
+      }
+      this.closeBroadcastChannel();
+      if (typeof(window) === 'object') {
+        window.removeEventListener('online', this.handleOnline);
+      }
       this.active = false;
     }
   }
@@ -65,9 +168,22 @@ class RelaksDjangoDataSource extends EventEmitter {
     if (typeof(url) !== 'string') {
       return url;
     }
+    return addTrailingSlash(this.resolveResourceURL(url));
+  }
+
+  /**
+   * Add baseURL to relative URL of a file, leaving out the trailing slash
+   * (DRF's routers don't accept periods in lookup values, so a file like
+   * "/export.csv" is usually served by a separate view)
+   *
+   * @param  {String} url
+   *
+   * @return {String}
+   */
+  resolveResourceURL(url) {
     let { baseURL } = this.options;
-    if (baseURL && !/^https?:/.test(url)) {
-      if (!/^https?:/.test(baseURL)) {
+    if (baseURL && !/^https?:/i.test(url)) {
+      if (!/^https?:/i.test(baseURL)) {
         if (typeof(location) === 'object') {
           const { protocol, host } = location;
           baseURL = `${protocol}//${host}${baseURL}`;
@@ -79,8 +195,7 @@ class RelaksDjangoDataSource extends EventEmitter {
       }
       url = removeTrailingSlash(baseURL) + addLeadingSlash(url);
     }
-    url = addTrailingSlash(url);
-    return url;
+    return canonicalizeURL(url);
   }
 
   /**
@@ -107,9 +222,103 @@ class RelaksDjangoDataSource extends EventEmitter {
       return false;
     }
     this.triggerEvent(new DataSourceEvent('change', this));
+    this.saveQueries();
     return true;
   }
 
+  /**
+   * Load queries saved in an earlier session. They're marked as expired so
+   * that they'd be refreshed when they are used.
+   *
+   * @return {Promise<Boolean>}
+   */
+  restoreQueries() {
+    const { storage } = this.options;
+    return storage.load('queries').then((entries) => {
+      let changed = false;
+      if (entries instanceof Array) {
+        for (let entry of entries) {
+          const query = this.restoreQuery(entry);
+          if (query && !this.findQuery(getQueryProps(query))) {
+            this.queries.push(query);
+            changed = true;
+          }
+        }
+      }
+      this.evictQueries();
+      return this.notifyChanges(changed);
+    }).catch((err) => {
+      if (process.env.NODE_ENV !== 'production') {
+        console.warn('Unable to restore cached queries: ' + err.message);
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Recreate a query from a saved entry
+   *
+   * @param  {Object} entry
+   *
+   * @return {Object|undefined}
+   */
+  restoreQuery(entry) {
+    const query = {};
+    for (let name of savedQueryProperties) {
+      if (entry[name] !== undefined) {
+        query[name] = entry[name];
+      }
+    }
+    query.expired = true;
+    if ((query.type === 'object' || query.type === 'text') && query.object) {
+      query.promise = Promise.resolve(query.object);
+    } else if (query.objects instanceof Array) {
+      const objects = query.objects;
+      objects.total = query.total;
+      delete query.total;
+      if (query.type === 'list') {
+        if (query.nextURL) {
+          objects.more = this.fetchNextPage.bind(this, query, false);
+        } else {
+          objects.more = this.fetchNoMore.bind(this, query);
+        }
+      }
+      query.promise = Promise.resolve(objects);
+    } else {
+      return;
+    }
+    return query;
+  }
+
+  /**
+   * Save queries to storage, after a brief delay so that multiple changes
+   * are written at once
+   */
+  saveQueries() {
+    const { storage } = this.options;
+    if (!storage || this.saveTimeout) {
+      return;
+    }
+    this.saveTimeout = setTimeout(() => {
+      // don't overwrite what's saved before it's been restored
+      Promise.resolve(this.restorationPromise).then(() => {
+        this.saveTimeout = 0;
+        const entries = [];
+        for (let query of this.queries) {
+          const entry = saveQuery(query);
+          if (entry) {
+            entries.push(entry);
+          }
+        }
+        return storage.save('queries', entries);
+      }).catch((err) => {
+        if (process.env.NODE_ENV !== 'production') {
+          console.warn('Unable to save cached queries: ' + err.message);
+        }
+      });
+    }, 50);
+  }
+
   /**
    * Fetch one object at the URL.
    *
@@ -123,7 +332,7 @@ class RelaksDjangoDataSource extends EventEmitter {
     const props = {
       type: 'object',
       url: absURL,
-      options: options || {},
+      options: getQueryOptions(options),
     };
     let query = this.findQuery(props);
     if (!query) {
@@ -132,19 +341,27 @@ class RelaksDjangoDataSource extends EventEmitter {
     if (!query) {
       const time = getTime();
       query = props;
-      query.promise = this.get(absURL).then((response) => {
+      const validators = getValidators(query, absURL);
+      const requestOptions = shareRequest(query, options);
+      query.promise = this.get(absURL, { ...requestOptions, validators }).then((response) => {
         const object = response;
         query.object = object;
         query.time = time;
         this.processFreshObject(object, absURL, query, true);
+        this.saveQueries();
         return object;
+      }).catch((err) => {
+        this.removeCanceledQuery(query, err);
+        throw err;
       });
       this.queries.unshift(query);
     }
-    return query.promise.then((object) => {
+    this.touchQuery(query);
+    return waitForQuery(query, options).then((object) => {
       if (query.expired)  {
         this.refreshOne(query);
       }
+      this.evictQueries(query);
       return object;
     });
   }
@@ -164,38 +381,195 @@ class RelaksDjangoDataSource extends EventEmitter {
       type: 'page',
       url: absURL,
       page: page,
-      options: options || {},
+      options: getQueryOptions(options),
+    };
+    let query = this.findQuery(props);
+    if (!query) {
+      const time = getTime();
+      query = props;
+      const requestOptions = shareRequest(query, options);
+      query.promise = this.findPageURL(query).then((pageURL) => {
+        const validators = getValidators(query, pageURL);
+        return this.get(pageURL, { ...requestOptions, validators }).then((response) => {
+          let objects;
+          if (response instanceof Array) {
+            objects = response;
+          } else {
+            objects = response.results;
+            query.nextURL = response.next;
+          }
+          objects.total = getTotal(response, query.offset);
+          query.pageURL = pageURL;
+          query.objects = objects;
+          query.time = time;
+          this.processFreshObjects(objects, pageURL, query, true);
+          this.saveQueries();
+          return objects;
+        });
+      }).catch((err) => {
+        this.removeCanceledQuery(query, err);
+        throw err;
+      });
+      this.queries.push(query);
+    }
+    this.touchQuery(query);
+    return waitForQuery(query, options).then((objects) => {
+      if (query.expired)  {
+        this.refreshPage(query);
+      }
+      this.evictQueries(query);
+      return objects;
+    });
+  }
+
+  /**
+   * Fetch a range of objects
+   *
+   * @param  {String} url
+   * @param  {Number} offset
+   * @param  {Number} limit
+   * @param  {Object|undefined} options
+   *
+   * @return {Promise<Array>}
+   */
+  fetchRange(url, offset, limit, options) {
+    const absURL = this.resolveURL(url);
+    const props = {
+      type: 'range',
+      url: absURL,
+      offset: offset,
+      limit: limit,
+      options: getQueryOptions(options),
     };
     let query = this.findQuery(props);
     if (!query) {
-      const pageURL = attachPageNumber(absURL, page);
+      const rangeURL = attachRange(absURL, offset, limit);
       const time = getTime();
       query = props;
-      query.promise = this.get(pageURL).then((response) => {
-        let objects, total;
+      query.pageURL = rangeURL;
+      const validators = getValidators(query, rangeURL);
+      const requestOptions = shareRequest(query, options);
+      query.promise = this.get(rangeURL, { ...requestOptions, validators }).then((response) => {
+        let objects;
         if (response instanceof Array) {
           objects = response;
-          total = objects.length;
         } else {
           objects = response.results;
-          total = response.count;
+          query.nextURL = response.next;
         }
-        objects.total = total;
+        objects.total = getTotal(response, offset);
         query.objects = objects;
         query.time = time;
-        this.processFreshObjects(objects, pageURL, query, true);
+        this.processFreshObjects(objects, rangeURL, query, true);
+        this.saveQueries();
         return objects;
+      }).catch((err) => {
+        this.removeCanceledQuery(query, err);
+        throw err;
       });
       this.queries.push(query);
     }
-    return query.promise.then((objects) => {
+    this.touchQuery(query);
+    return waitForQuery(query, options).then((objects) => {
       if (query.expired)  {
         this.refreshPage(query);
       }
+      this.evictQueries(query);
       return objects;
     });
   }
 
+  /**
+   * Return the URL of a page. When cursor pagination is used, the preceding
+   * page is fetched first to obtain the link to the page.
+   *
+   * @param  {Object} query
+   *
+   * @return {Promise<String>}
+   */
+  findPageURL(query) {
+    const { url, page, options } = query;
+    const pagination = this.getPagination(options);
+    if (pagination === 'limit-offset') {
+      const pageSize = this.getPageSize(options);
+      if (pageSize) {
+        query.offset = (page - 1) * pageSize;
+        return Promise.resolve(attachRange(url, query.offset, pageSize));
+      }
+    }
+    if (page === 1) {
+      query.offset = 0;
+      return Promise.resolve(url);
+    }
+    if (pagination === 'cursor' || pagination === 'limit-offset') {
+      // follow link from the previous page
+      return this.fetchPage(url, page - 1, options).then((prevObjects) => {
+        const prevQuery = this.findQuery({
+          type: 'page',
+          url: url,
+          page: page - 1,
+          options: options,
+        });
+        if (!prevQuery || !prevQuery.nextURL) {
+          throw new DataSourceError(404, 'Not Found');
+        }
+        if (prevQuery.offset !== undefined) {
+          query.offset = prevQuery.offset + prevObjects.length;
+        }
+        return prevQuery.nextURL;
+      });
+    } else {
+      return Promise.resolve(attachPageNumber(url, page));
+    }
+  }
+
+  /**
+   * Return the URL of the first page of a list
+   *
+   * @param  {Object} query
+   *
+   * @return {String}
+   */
+  getListURL(query) {
+    const { url, options } = query;
+    if (this.getPagination(options) === 'limit-offset') {
+      const pageSize = this.getPageSize(options);
+      if (pageSize) {
+        return attachRange(url, 0, pageSize);
+      }
+    }
+    return url;
+  }
+
+  /**
+   * Return the pagination method used by the server
+   *
+   * @param  {Object|undefined} options
+   *
+   * @return {String}
+   */
+  getPagination(options) {
+    if (options && options.pagination) {
+      return options.pagination;
+    }
+    return this.options.pagination;
+  }
+
+  /**
+   * Return the number of objects to request per page when limit-offset
+   * pagination is used
+   *
+   * @param  {Object|undefined} options
+   *
+   * @return {Number}
+   */
+  getPageSize(options) {
+    if (options && options.pageSize) {
+      return options.pageSize;
+    }
+    return this.options.pageSize;
+  }
+
   /**
    * Fetch a list of objects at the given URL.
    *
@@ -209,18 +583,24 @@ class RelaksDjangoDataSource extends EventEmitter {
     const props = {
       type: 'list',
       url: absURL,
-      options: options || {},
+      options: getQueryOptions(options),
     };
     let query = this.findQuery(props);
     if (!query) {
       query = props;
-      query.promise = this.fetchNextPage(query, true);
+      const requestOptions = shareRequest(query, options);
+      query.promise = this.fetchNextPage(query, true, requestOptions).catch((err) => {
+        this.removeCanceledQuery(query, err);
+        throw err;
+      });
       this.queries.push(query);
     }
-    return query.promise.then((objects) => {
+    this.touchQuery(query);
+    return waitForQuery(query, options).then((objects) => {
       if (query.expired)  {
         this.refreshList(query);
       }
+      this.evictQueries(query);
       return objects;
     });
   }
@@ -241,16 +621,18 @@ class RelaksDjangoDataSource extends EventEmitter {
    *
    * @param  {Object} query
    * @param  {Boolean} initial
+   * @param  {Object|undefined} options
    *
    * @return {Promise<Array>}
    */
-  fetchNextPage(query, initial) {
+  fetchNextPage(query, initial, options) {
     if (query.nextPromise) {
       return query.nextPromise;
     }
     const time = getTime();
-    const nextURL = (initial) ? query.url : query.nextURL;
-    const nextPromise = this.get(nextURL).then((response) => {
+    const nextURL = (initial) ? this.getListURL(query) : query.nextURL;
+    const validators = getValidators(query, nextURL);
+    const nextPromise = this.get(nextURL, { ...options, validators }).then((response) => {
       if (response instanceof Array) {
         // the full list is returned
         const objects = response;
@@ -260,10 +642,15 @@ class RelaksDjangoDataSource extends EventEmitter {
         query.time = time;
         query.nextPromise = null;
         this.processFreshObjects(objects, nextURL, query, true);
+        this.saveQueries();
         return objects;
       } else if (response instanceof Object) {
+        // remember the page, in case the server says it hasn't changed
+        // when the list is refreshed
+        validators.response = response;
+
         // append retrieved objects to list
-        const total = response.count;
+        const total = getTotal(response);
         const freshObjects = response.results;
         const objects = appendObjects(query.objects, freshObjects);
         query.objects = objects;
@@ -282,10 +669,12 @@ class RelaksDjangoDataSource extends EventEmitter {
           objects.total = total;
 
           // if minimum is provide, fetch more if it's not met
-          const minimum = getMinimum(query.options, total, NaN);
+          // (everything is needed when the server doesn't give a count)
+          const knownTotal = (total !== undefined) ? total : Infinity;
+          const minimum = getMinimum(query.options, knownTotal, NaN);
           if (objects.length < minimum) {
             // fetch the next page
-            return this.fetchNextPage(query, false);
+            return this.fetchNextPage(query, false, options);
           }
         } else {
           objects.more = this.fetchNoMore.bind(this, query);
@@ -294,6 +683,10 @@ class RelaksDjangoDataSource extends EventEmitter {
 
         // inform parent component that more data is available
         this.notifyChanges(!initial);
+        this.saveQueries();
+        if (!initial) {
+          this.evictQueries(query);
+        }
         return objects;
       }
     }).catch((err) => {
@@ -327,6 +720,7 @@ class RelaksDjangoDataSource extends EventEmitter {
         fetchOptions[name] = options[name];
       }
     }
+    const queryOptions = getQueryOptions(fetchOptions);
     const cachedResults = [];
     const promises = [];
     for (let url of urls) {
@@ -334,13 +728,14 @@ class RelaksDjangoDataSource extends EventEmitter {
       const props = {
         url: absURL,
         type: 'object',
-        options: fetchOptions
+        options: queryOptions,
       };
       let query = this.findQuery(props);
       if (!query) {
         query = this.deriveQuery(absURL, true);
       }
       if (query && query.object) {
+        this.touchQuery(query);
         cached++;
         cachedResults.push(query.object);
         promises.push(query.object);
@@ -376,6 +771,78 @@ class RelaksDjangoDataSource extends EventEmitter {
     }
   }
 
+  /**
+   * Fetch a file at the URL as a Blob
+   *
+   * @param  {String} url
+   * @param  {Object|undefined} options
+   *
+   * @return {Promise<Blob>}
+   */
+  fetchBlob(url, options) {
+    return this.fetchResource(url, 'blob', options);
+  }
+
+  /**
+   * Fetch a file at the URL as text
+   *
+   * @param  {String} url
+   * @param  {Object|undefined} options
+   *
+   * @return {Promise<String>}
+   */
+  fetchText(url, options) {
+    return this.fetchResource(url, 'text', options);
+  }
+
+  /**
+   * Fetch a non-JSON resource, keeping it in the cache in the same manner
+   * as an object, unless the option "cache" is false
+   *
+   * @param  {String} url
+   * @param  {String} responseType
+   * @param  {Object|undefined} options
+   *
+   * @return {Promise<Blob|String>}
+   */
+  fetchResource(url, responseType, options) {
+    const absURL = this.resolveResourceURL(url);
+    if (options && options.cache === false) {
+      // don't keep large files in memory
+      return this.get(absURL, { ...options, responseType });
+    }
+    const props = {
+      type: responseType,
+      url: absURL,
+      options: getQueryOptions(options),
+    };
+    let query = this.findQuery(props);
+    if (!query) {
+      const time = getTime();
+      query = props;
+      const validators = getValidators(query, absURL);
+      const requestOptions = shareRequest(query, options);
+      query.promise = this.get(absURL, { ...requestOptions, responseType, validators }).then((response) => {
+        query.object = response;
+        query.time = time;
+        this.saveQueries();
+        return response;
+      }).catch((err) => {
+        this.removeCanceledQuery(query, err);
+        throw err;
+      });
+      this.queries.unshift(query);
+    }
+    this.touchQuery(query);
+    return waitForQuery(query, options).then((object) => {
+      if (query.expired)  {
+        this.refreshResource(query);
+      }
+      this.evictQueries(query);
+      return object;
+    });
+  }
+
   /**
    * Reperform an query for an object, triggering an onChange event if the
    * object has changed.
@@ -389,12 +856,14 @@ class RelaksDjangoDataSource extends EventEmitter {
     query.refreshing = true;
 
     const time = getTime();
-    this.get(query.url).then((response) => {
+    const validators = getValidators(query, query.url);
+    this.get(query.url, { validators }).then((response) => {
       const object = response;
       query.time = time;
       query.refreshing = false;
       query.expired = false;
-      if (!matchObject(object, query.object)) {
+      // undefined means the object hasn't changed (304 Not Modified)
+      if (object !== undefined && !matchObject(object, query.object)) {
         query.object = object;
         query.promise = Promise.resolve(object);
         this.processFreshObject(object, query.url, query, false);
@@ -406,8 +875,41 @@ class RelaksDjangoDataSource extends EventEmitter {
   }
 
   /**
-   * Reperform an query for a page of objects, triggering an onChange event if
-   * the list is different from the one fetched previously.
+   * Reperform an query for a non-JSON resource, triggering an onChange
+   * event if it has changed. Blobs are compared byte by byte.
+   *
+   * @param  {Object} query
+   */
+  refreshResource(query) {
+    if (query.refreshing) {
+      return;
+    }
+    query.refreshing = true;
+
+    const time = getTime();
+    const validators = getValidators(query, query.url);
+    this.get(query.url, { responseType: query.type, validators }).then((response) => {
+      // undefined means the file hasn't changed (304 Not Modified)
+      const same = (response === undefined) || compareResources(response, query.object);
+      return Promise.resolve(same).then((same) => {
+        query.time = time;
+        query.refreshing = false;
+        query.expired = false;
+        if (!same) {
+          query.object = response;
+          query.promise = Promise.resolve(response);
+          this.saveQueries();
+          this.notifyChanges(true);
+        }
+      });
+    }).catch((err) => {
+      query.refreshing = false;
+    });
+  }
+
+  /**
+   * Reperform an query for a page (or range) of objects, triggering an
+   * onChange event if the list is different from the one fetched previously.
    *
    * @param  {Object} query
    */
@@ -418,21 +920,25 @@ class RelaksDjangoDataSource extends EventEmitter {
     query.refreshing = true;
 
     const time = getTime();
-    const pageURL = attachPageNumber(query.url, query.page);
-    this.get(pageURL).then((response) => {
+    const pageURL = query.pageURL || attachPageNumber(query.url, query.page);
+    const validators = getValidators(query, pageURL);
+    this.get(pageURL, { validators }).then((response) => {
+      // undefined means the page hasn't changed (304 Not Modified)
       let objects, total;
       if (response instanceof Array) {
         objects = response;
-        total = response.length;
-      } else {
-        objects = response.results
-        total = response.count;
+      } else if (response) {
+        objects = response.results;
+        query.nextURL = response.next;
+      }
+      if (objects) {
+        total = getTotal(response, query.offset);
       }
 
       // remove other pages (unless they're refreshing)
       const otherQueries = [];
       for (let otherQuery of this.queries) {
-        if (otherQuery.url === query.url) {
+        if (otherQuery.type === 'page' && query.type === 'page' && otherQuery.url === query.url) {
           if (otherQuery.page !== query.page) {
             if (otherQuery.expired && !otherQuery.refreshing) {
               otherQueries.push(otherQuery);
@@ -450,7 +956,7 @@ class RelaksDjangoDataSource extends EventEmitter {
       query.time = time;
       query.refreshing = false;
       query.expired = false;
-      const freshObjects = replaceIdentificalObjects(objects, query.objects);
+      const freshObjects = objects && replaceIdentificalObjects(objects, query.objects);
       if (freshObjects) {
         objects.total = total;
         query.objects = objects;
@@ -495,21 +1001,32 @@ class RelaksDjangoDataSource extends EventEmitter {
 
         let refreshedObjects;
         let pageRemaining = query.nextPage - 1;
-        let nextURL = query.url;
+        let nextURL = this.getListURL(query);
 
         const refreshNextPage = () => {
-          return this.get(nextURL).then((response) => {
+          const validators = getValidators(query, nextURL);
+          return this.get(nextURL, { validators }).then((response) => {
+            if (response === undefined) {
+              // use the page received earlier
+              response = validators.response;
+            } else {
+              validators.response = response;
+            }
             pageRemaining--;
             nextURL = response.next;
-            if (pageRemaining === 0) {
+            if (pageRemaining === 0 || !nextURL) {
               // set query.nextURL to the URL given by the server
               // in the event that new pages have become available
+              // (or old ones have disappeared)
               query.nextURL = nextURL;
             }
             refreshedObjects = appendObjects(refreshedObjects, response.results);
 
-            const total = response.count;
             const objects = joinObjectLists(refreshedObjects, oldObjects);
+            let total = getTotal(response);
+            if (total === undefined && !query.nextURL) {
+              total = objects.length;
+            }
             const freshObjects = replaceIdentificalObjects(objects, query.objects);
             if (freshObjects) {
               objects.total = total;
@@ -521,7 +1038,7 @@ class RelaksDjangoDataSource extends EventEmitter {
             }
 
             // keep going until all pages have been updated
-            if (query.nextURL !== nextURL) {
+            if (pageRemaining > 0 && nextURL) {
               return refreshNextPage();
             }
           });
@@ -552,11 +1069,16 @@ class RelaksDjangoDataSource extends EventEmitter {
     } else {
       // updating un-paginated list
       const time = getTime();
-      this.get(query.url).then((response) => {
+      const validators = getValidators(query, query.url);
+      this.get(query.url, { validators }).then((response) => {
         const objects = response;
         query.time = time;
         query.refreshing = false;
         query.expired = false;
+        if (objects === undefined) {
+          // list hasn't changed
+          return;
+        }
         const freshObjects = replaceIdentificalObjects(objects, query.objects);
         if (freshObjects) {
           objects.more = this.fetchNoMore.bind(this, query);
@@ -606,11 +1128,12 @@ class RelaksDjangoDataSource extends EventEmitter {
    *
    * @param  {String} folderURL
    * @param  {Object} object
+   * @param  {Object|undefined} options
    *
    * @return {Promise<Object>}
    */
-  insertOne(folderURL, object) {
-    return this.insertMultiple(folderURL, [ object ]).then((insertedObjects) => {
+  insertOne(folderURL, object, options) {
+    return this.insertMultiple(folderURL, [ object ], options).then((insertedObjects) => {
       return insertedObjects[0];
     });
   }
@@ -620,20 +1143,45 @@ class RelaksDjangoDataSource extends EventEmitter {
    *
    * @param  {String} folderURL
    * @param  {Array<Object>} objects
+   * @param  {Object|undefined} options
    *
    * @return {Promise<Array>}
    */
-  insertMultiple(folderURL, objects) {
+  insertMultiple(folderURL, objects, options) {
     const folderAbsURL = this.resolveURL(folderURL);
-    const promises = objects.map(object => this.post(folderAbsURL, object));
+    let placeholders;
+    if (options && options.optimistic) {
+      // give objects temporary keys until the server has assigned real ones
+      placeholders = objects.map((object) => {
+        return { ...object, id: placeholderIDPrefix + (++this.placeholderCounter) };
+      });
+      this.applyOptimisticChanges('insert', folderAbsURL, placeholders);
+    }
+    const promises = objects.map((object, index) => {
+      const placeholder = (placeholders) ? placeholders[index] : undefined;
+      return this.mutate('insert', folderAbsURL, folderAbsURL, object, options, placeholder);
+    });
     return this.waitForResults(promises).then((outcome) => {
       let changed = false;
-      const ops = segregateResults(folderAbsURL, objects, outcome);
+      let insertOutcome = outcome;
+      if (placeholders) {
+        if (this.replacePlaceholders(folderAbsURL, placeholders, outcome.results)) {
+          changed = true;
+        }
+        // objects placed in the offline queue are represented by their
+        // placeholders until the queue is replayed
+        const results = outcome.results.map((result) => {
+          return (result && (result.id || result.url)) ? result : null;
+        });
+        insertOutcome = { ...outcome, results };
+      }
+      const ops = segregateResults(folderAbsURL, objects, insertOutcome);
       for (let op of ops) {
         if (this.runInsertHooks(op)) {
           changed = true;
         }
       }
+      this.broadcast({ type: 'mutation', operation: 'insert', ops });
       this.notifyChanges(changed);
       if (outcome.error) {
         throw outcome.error;
@@ -647,16 +1195,18 @@ class RelaksDjangoDataSource extends EventEmitter {
    *
    * @param  {String} folderURL
    * @param  {Object} object
+   * @param  {Object|undefined} options
    *
    * @return {Promise<Object>}
    */
-  updateOne(folderURL, object) {
+  updateOne(folderURL, object, options) {
     // allow folderURL to be omitted
-    if (object === undefined && folderURL instanceof Object) {
+    if (folderURL instanceof Object) {
+      options = object;
       object = folderURL;
       folderURL = null;
     }
-    return this.updateMultiple(folderURL, [ object ]).then((results) => {
+    return this.updateMultiple(folderURL, [ object ], options).then((results) => {
       return results[0];
     });
   }
@@ -666,28 +1216,40 @@ class RelaksDjangoDataSource extends EventEmitter {
    *
    * @param  {String} folderURL
    * @param  {Array<Object>} objects
+   * @param  {Object|undefined} options
    *
    * @return {Promise<Array>}
    */
-  updateMultiple(folderURL, objects) {
+  updateMultiple(folderURL, objects, options) {
     // allow folderURL to be omitted
-    if (objects === undefined && folderURL instanceof Array) {
+    if (folderURL instanceof Array) {
+      options = objects;
       objects = folderURL;
       folderURL = null;
     }
     const folderAbsURL = this.resolveURL(folderURL);
+    let snapshot;
+    if (options && options.optimistic) {
+      snapshot = this.applyOptimisticChanges('update', folderAbsURL, objects);
+    }
     const promises = objects.map((object) => {
       const absURL = getObjectURL(folderAbsURL, object);
-      return this.put(absURL, object);
+      return this.mutate('update', absURL, folderAbsURL, object, options);
     });
     return this.waitForResults(promises).then((outcome) => {
       let changed = false;
+      if (snapshot && outcome.error) {
+        if (this.revertOptimisticChanges(snapshot)) {
+          changed = true;
+        }
+      }
       const ops = segregateResults(folderAbsURL, objects, outcome);
       for (let op of ops) {
         if (this.runUpdateHooks(op)) {
           changed = true;
         }
       }
+      this.broadcast({ type: 'mutation', operation: 'update', ops });
       this.notifyChanges(changed);
       if (outcome.error) {
         throw outcome.error;
@@ -697,54 +1259,56 @@ class RelaksDjangoDataSource extends EventEmitter {
   }
 
   /**
-   * Delete an object
+   * Update certain properties of an object
    *
    * @param  {String} folderURL
    * @param  {Object} object
+   * @param  {Object|undefined} options
    *
    * @return {Promise<Object>}
    */
-  deleteOne(folderURL, object) {
+  patchOne(folderURL, object, options) {
     // allow folderURL to be omitted
-    if (object === undefined && folderURL instanceof Object) {
+    if (folderURL instanceof Object) {
+      options = object;
       object = folderURL;
       folderURL = null;
     }
-    return this.deleteMultiple(folderURL, [ object ]).then((results) => {
+    return this.patchMultiple(folderURL, [ object ], options).then((results) => {
       return results[0];
     });
   }
 
   /**
-   * Delete multiple objects
+   * Update certain properties of multiple objects
    *
    * @param  {String} folderURL
    * @param  {Array<Object>} objects
+   * @param  {Object|undefined} options
    *
    * @return {Promise<Array>}
    */
-  deleteMultiple(folderURL, objects) {
+  patchMultiple(folderURL, objects, options) {
     // allow folderURL to be omitted
-    if (objects === undefined && folderURL instanceof Array) {
+    if (folderURL instanceof Array) {
+      options = objects;
       objects = folderURL;
       folderURL = null;
     }
     const folderAbsURL = this.resolveURL(folderURL);
     const promises = objects.map((object) => {
       const absURL = getObjectURL(folderAbsURL, object);
-      return this.delete(absURL, object).then(() => {
-        // create copy of object, as a DELETE op does not return anything
-        return cloneObject(object);
-      });
+      return this.mutate('patch', absURL, folderAbsURL, object, options);
     });
     return this.waitForResults(promises).then((outcome) => {
       let changed = false;
       const ops = segregateResults(folderAbsURL, objects, outcome);
       for (let op of ops) {
-        if (this.runDeleteHooks(op)) {
+        if (this.runUpdateHooks(op)) {
           changed = true;
         }
       }
+      this.broadcast({ type: 'mutation', operation: 'patch', ops });
       this.notifyChanges(changed);
       if (outcome.error) {
         throw outcome.error;
@@ -753,6 +1317,561 @@ class RelaksDjangoDataSource extends EventEmitter {
     });
   }
 
+  /**
+   * Delete an object
+   *
+   * @param  {String} folderURL
+   * @param  {Object} object
+   * @param  {Object|undefined} options
+   *
+   * @return {Promise<Object>}
+   */
+  deleteOne(folderURL, object, options) {
+    // allow folderURL to be omitted
+    if (folderURL instanceof Object) {
+      options = object;
+      object = folderURL;
+      folderURL = null;
+    }
+    return this.deleteMultiple(folderURL, [ object ], options).then((results) => {
+      return results[0];
+    });
+  }
+
+  /**
+   * Delete multiple objects
+   *
+   * @param  {String} folderURL
+   * @param  {Array<Object>} objects
+   * @param  {Object|undefined} options
+   *
+   * @return {Promise<Array>}
+   */
+  deleteMultiple(folderURL, objects, options) {
+    // allow folderURL to be omitted
+    if (folderURL instanceof Array) {
+      options = objects;
+      objects = folderURL;
+      folderURL = null;
+    }
+    const folderAbsURL = this.resolveURL(folderURL);
+    let snapshot;
+    if (options && options.optimistic) {
+      snapshot = this.applyOptimisticChanges('delete', folderAbsURL, objects);
+    }
+    const promises = objects.map((object) => {
+      const absURL = getObjectURL(folderAbsURL, object);
+      return this.mutate('delete', absURL, folderAbsURL, object, options);
+    });
+    return this.waitForResults(promises).then((outcome) => {
+      let changed = false;
+      if (snapshot && outcome.error) {
+        if (this.revertOptimisticChanges(snapshot)) {
+          changed = true;
+        }
+      }
+      const ops = segregateResults(folderAbsURL, objects, outcome);
+      for (let op of ops) {
+        if (this.runDeleteHooks(op)) {
+          changed = true;
+        }
+      }
+      this.broadcast({ type: 'mutation', operation: 'delete', ops });
+      this.notifyChanges(changed);
+      if (outcome.error) {
+        throw outcome.error;
+      }
+      return outcome.results;
+    });
+  }
+
+  /**
+   * Apply changes to cached queries before the server has responded,
+   * returning a snapshot of the affected queries so the changes can be
+   * reverted. Queries that would need to be refreshed are left alone.
+   *
+   * @param  {String} operation
+   * @param  {String} folderAbsURL
+   * @param  {Array<Object>} objects
+   *
+   * @return {Object}
+   */
+  applyOptimisticChanges(operation, folderAbsURL, objects) {
+    const entries = this.queries.map((query) => {
+      return {
+        query: query,
+        object: query.object,
+        objects: query.objects,
+        promise: query.promise,
+        expired: query.expired,
+      };
+    });
+    const outcome = { results: objects, errors: [] };
+    const ops = segregateResults(folderAbsURL, objects, outcome);
+    for (let op of ops) {
+      if (operation === 'insert') {
+        this.runInsertHooks(op);
+      } else if (operation === 'delete') {
+        this.runDeleteHooks(op);
+      } else {
+        this.runUpdateHooks(op);
+      }
+    }
+    const snapshot = { entries: [] };
+    for (let entry of entries) {
+      const { query } = entry;
+      const removed = (this.queries.indexOf(query) === -1);
+      if (!removed) {
+        // don't trigger refresh with data the server doesn't have yet
+        query.expired = entry.expired;
+      }
+      if (removed || query.object !== entry.object || query.objects !== entry.objects) {
+        entry.optimisticObject = query.object;
+        entry.optimisticObjects = query.objects;
+        entry.removed = removed;
+        snapshot.entries.push(entry);
+      }
+    }
+    this.notifyChanges(snapshot.entries.length > 0);
+    return snapshot;
+  }
+
+  /**
+   * Restore queries changed by applyOptimisticChanges() to their earlier
+   * state, unless they have been updated since
+   *
+   * @param  {Object} snapshot
+   *
+   * @return {Boolean}
+   */
+  revertOptimisticChanges(snapshot) {
+    let changed = false;
+    for (let entry of snapshot.entries) {
+      const { query } = entry;
+      if (query.object !== entry.optimisticObject || query.objects !== entry.optimisticObjects) {
+        // query has received new data
+        continue;
+      }
+      if (entry.removed) {
+        if (this.findQuery(getQueryProps(query))) {
+          continue;
+        }
+        this.queries.push(query);
+      }
+      query.object = entry.object;
+      query.objects = entry.objects;
+      query.promise = entry.promise;
+      query.expired = entry.expired;
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Replace placeholders added by an optimistic insert with objects returned
+   * by the server, removing those whose insertion has failed
+   *
+   * @param  {String} folderAbsURL
+   * @param  {Array<Object>} placeholders
+   * @param  {Array<Object|null>} results
+   *
+   * @return {Boolean}
+   */
+  replacePlaceholders(folderAbsURL, placeholders, results) {
+    const folderURL = omitSearchString(folderAbsURL);
+    const placeholderURLs = placeholders.map((placeholder) => {
+      return getObjectURL(folderURL, placeholder);
+    });
+    let changed = false;
+    const removing = [];
+    for (let query of this.queries) {
+      if (query.type === 'object') {
+        const index = placeholderURLs.indexOf(query.url);
+        if (index !== -1) {
+          const result = results[index];
+          if (!result) {
+            removing.push(query);
+            changed = true;
+          } else if (result.id || result.url) {
+            // re-key the query
+            query.url = getObjectURL(folderURL, result);
+            query.object = result;
+            query.promise = Promise.resolve(result);
+            changed = true;
+          }
+        }
+      } else if (query.type === 'page' || query.type === 'range' || query.type === 'list') {
+        if (query.objects && omitSearchString(query.url) === folderURL) {
+          let modified = false;
+          const newList = [];
+          for (let object of query.objects) {
+            const index = findObjectIndex(placeholders, object);
+            if (index !== -1) {
+              const result = results[index];
+              if (!result) {
+                modified = true;
+                continue;
+              } else if (result.id || result.url) {
+                newList.push(result);
+                modified = true;
+                continue;
+              }
+            }
+            newList.push(object);
+          }
+          if (modified) {
+            if (query.type === 'list') {
+              const diff = newList.length - query.objects.length;
+              if (query.objects.total !== undefined) {
+                newList.total = query.objects.total + diff;
+              }
+              newList.more = query.objects.more;
+            }
+            query.objects = newList;
+            query.promise = Promise.resolve(newList);
+            changed = true;
+          }
+        }
+      }
+    }
+    if (removing.length > 0) {
+      pullObjects(this.queries, removing);
+      this.updateSubscriptions();
+    }
+    return changed;
+  }
+
+  /**
+   * Send a data modification request to the server. When offlineQueue is
+   * set and the server cannot be reached, place the operation in a queue and
+   * return the object as though the operation has succeeded.
+   *
+   * @param  {String} operation
+   * @param  {String} absURL
+   * @param  {String|null} folderAbsURL
+   * @param  {Object} object
+   * @param  {Object|undefined} options
+   * @param  {Object|undefined} placeholder
+   *
+   * @return {Promise<Object>}
+   */
+  mutate(operation, absURL, folderAbsURL, object, options, placeholder) {
+    if (!this.options.offlineQueue) {
+      return this.sendMutation(operation, absURL, object, options);
+    }
+    const mutation = {
+      operation: operation,
+      url: absURL,
+      folderURL: folderAbsURL,
+      object: object,
+    };
+    if (placeholder) {
+      // replaced once the operation is replayed
+      mutation.placeholder = placeholder;
+    }
+    if (isOffline()) {
+      return this.queueMutation(mutation);
+    }
+    if (this.mutations.length > 0) {
+      // keep operations in order when there're ones waiting already
+      const promise = this.queueMutation(mutation);
+      this.replayMutations();
+      return promise;
+    }
+    return this.sendMutation(operation, absURL, object, options).catch((err) => {
+      if (isNetworkError(err)) {
+        return this.queueMutation(mutation);
+      }
+      throw err;
+    });
+  }
+
+  /**
+   * Perform the HTTP request for a data modification operation
+   *
+   * @param  {String} operation
+   * @param  {String} absURL
+   * @param  {Object} object
+   * @param  {Object|undefined} options
+   *
+   * @return {Promise<Object>}
+   */
+  sendMutation(operation, absURL, object, options) {
+    let validators;
+    if (operation === 'update' || operation === 'delete') {
+      // send the ETag of the cached copy, so the server can reject the
+      // operation if the object has been changed by someone else (not
+      // needed for PATCH, which only changes the properties given)
+      validators = this.findObjectValidators(absURL);
+      if (validators) {
+        options = { ...options, validators };
+      }
+    }
+    if (operation !== 'delete' && containsFiles(object)) {
+      // report progress of file upload
+      options = {
+        ...options,
+        onUploadProgress: (evt) => {
+          this.triggerEvent(new DataSourceEvent('uploadprogress', this, {
+            url: absURL,
+            object: object,
+            loaded: evt.loaded,
+            total: (evt.lengthComputable) ? evt.total : undefined,
+          }));
+        },
+      };
+    }
+    let promise;
+    switch (operation) {
+      case 'insert':
+        promise = this.post(absURL, object, options);
+        break;
+      case 'update':
+        promise = this.put(absURL, object, options);
+        break;
+      case 'patch':
+        promise = this.patch(absURL, object, options);
+        break;
+      case 'delete':
+        promise = this.delete(absURL, options).then(() => {
+          // create copy of object, as a DELETE op does not return anything
+          return cloneObject(object);
+        });
+        break;
+    }
+    return promise.catch((err) => {
+      // indicate which object the error is for
+      err.object = object;
+      if (err.status === 412 && validators) {
+        // obtain the current version of the object
+        validators.etag = validators.lastModified = undefined;
+        return this.get(absURL, { validators }).then((currentObject) => {
+          err.currentObject = currentObject;
+          this.processFreshObject(currentObject, absURL, null, true);
+          throw err;
+        }, (fetchErr) => {
+          throw err;
+        });
+      }
+      throw err;
+    });
+  }
+
+  /**
+   * Return the ETag and Last-Modified date of a cached object
+   *
+   * @param  {String} absURL
+   *
+   * @return {Object|undefined}
+   */
+  findObjectValidators(absURL) {
+    for (let query of this.queries) {
+      if (query.type === 'object' && query.url === absURL && query.validators) {
+        const validators = query.validators[absURL];
+        if (validators && validators.etag) {
+          return validators;
+        }
+      }
+    }
+  }
+
+  /**
+   * Add an operation to the offline queue, returning the object expected
+   * from the server so that cached queries can be updated immediately
+   *
+   * @param  {Object} mutation
+   *
+   * @return {Promise<Object>}
+   */
+  queueMutation(mutation) {
+    this.mutations.push(mutation);
+    this.saveMutations();
+    let result;
+    if (mutation.operation === 'patch') {
+      // apply changes to cached copy
+      const cachedObject = this.findCachedObject(mutation.url);
+      result = Object.assign({}, cachedObject, mutation.object);
+    } else {
+      result = cloneObject(mutation.object);
+    }
+    return Promise.resolve(result);
+  }
+
+  /**
+   * Send operations in the offline queue to the server, in the order in
+   * which they were performed
+   *
+   * @return {Promise}
+   */
+  replayMutations() {
+    if (this.replayPromise) {
+      // go through the queue again after the current attempt
+      this.replayRequested = true;
+      return this.replayPromise;
+    }
+    const replayNext = () => {
+      const mutation = this.mutations[0];
+      if (!mutation) {
+        return;
+      }
+      const { operation, url, object } = mutation;
+      return this.sendMutation(operation, url, object).then((result) => {
+        this.mutations.shift();
+        this.saveMutations();
+        this.resolvePlaceholder(mutation, result);
+        this.applyMutation(mutation, result, null);
+        return replayNext();
+      }, (err) => {
+        if (isNetworkError(err) || isTemporaryError(err)) {
+          // try again when connection is restored
+          return;
+        }
+        this.mutations.shift();
+        this.saveMutations();
+        this.resolvePlaceholder(mutation, null);
+        this.applyMutation(mutation, null, err);
+        const conflict = (err.status === 409 || err.status === 412);
+        const type = (conflict) ? 'replayconflict' : 'replayfailure';
+        this.triggerEvent(new DataSourceEvent(type, this, {
+          operation: operation,
+          url: url,
+          object: object,
+          error: err,
+        }));
+        return replayNext();
+      });
+    };
+    this.replayPromise = Promise.resolve(this.restorationPromise).then(() => {
+      return this.waitForActivation();
+    }).then(replayNext).then(() => {
+      this.replayPromise = null;
+      if (this.replayRequested) {
+        this.replayRequested = false;
+        return this.replayMutations();
+      }
+    }, (err) => {
+      this.replayPromise = null;
+      throw err;
+    });
+    return this.replayPromise;
+  }
+
+  /**
+   * Replace the placeholder of an optimistic insert replayed from the offline
+   * queue with the object returned by the server, or remove it when the
+   * operation has failed
+   *
+   * @param  {Object} mutation
+   * @param  {Object|null} result
+   *
+   * @return {Boolean}
+   */
+  resolvePlaceholder(mutation, result) {
+    const { placeholder, folderURL } = mutation;
+    if (!placeholder) {
+      return false;
+    }
+    return this.replacePlaceholders(folderURL, [ placeholder ], [ result ]);
+  }
+
+  /**
+   * Run hooks on the outcome of an operation replayed from the offline queue
+   *
+   * @param  {Object} mutation
+   * @param  {Object|null} result
+   * @param  {Error|null} error
+   *
+   * @return {Boolean}
+   */
+  applyMutation(mutation, result, error) {
+    const { operation, folderURL, object } = mutation;
+    const outcome = { results: [ result ], errors: [ error ] };
+    const ops = segregateResults(folderURL, [ object ], outcome);
+    let changed = false;
+    for (let op of ops) {
+      if (error) {
+        // the cached queries reflect the failed operation
+        op.rejects = [ object ];
+      }
+      let opChanged;
+      switch (operation) {
+        case 'insert':
+          if (!error) {
+            // refresh lists holding the object inserted while offline
+            op.rejects = [ object ];
+          }
+          opChanged = this.runInsertHooks(op);
+          break;
+        case 'update':
+        case 'patch':
+          opChanged = this.runUpdateHooks(op);
+          break;
+        case 'delete':
+          opChanged = this.runDeleteHooks(op);
+          break;
+      }
+      if (opChanged) {
+        changed = true;
+      }
+    }
+    this.broadcast({ type: 'mutation', operation, ops });
+    return this.notifyChanges(changed);
+  }
+
+  /**
+   * Load operations placed in the offline queue in an earlier session
+   *
+   * @return {Promise}
+   */
+  restoreMutations() {
+    const { storage } = this.options;
+    return storage.load('mutations').then((mutations) => {
+      if (mutations instanceof Array) {
+        this.mutations = mutations.concat(this.mutations);
+      }
+    }).catch((err) => {
+      if (process.env.NODE_ENV !== 'production') {
+        console.warn('Unable to restore offline queue: ' + err.message);
+      }
+    });
+  }
+
+  /**
+   * Save operations in the offline queue to storage
+   */
+  saveMutations() {
+    const { storage } = this.options;
+    if (!storage) {
+      return;
+    }
+    Promise.resolve(this.restorationPromise).then(() => {
+      // placeholders are not saved, so there's nothing to replace
+      const mutations = this.mutations.map(({ placeholder, ...mutation }) => mutation);
+      return storage.save('mutations', mutations);
+    }).catch((err) => {
+      if (process.env.NODE_ENV !== 'production') {
+        console.warn('Unable to save offline queue: ' + err.message);
+      }
+    });
+  }
+
+  /**
+   * Return the cached copy of an object
+   *
+   * @param  {String} absURL
+   *
+   * @return {Object|undefined}
+   */
+  findCachedObject(absURL) {
+    let query = this.findQuery({ type: 'object', url: absURL });
+    if (!query) {
+      query = this.deriveQuery(absURL);
+    }
+    if (query) {
+      return query.object;
+    }
+  }
+
   /**
    * Run insert hooks
    *
@@ -773,6 +1892,14 @@ class RelaksDjangoDataSource extends EventEmitter {
       const time = getTime();
       for (let newObject of op.results) {
         const absURL = getObjectURL(op.url, newObject);
+        if (!absURL) {
+          // object hasn't been saved yet
+          continue;
+        }
+        if (this.findQuery({ type: 'object', url: absURL })) {
+          // query was re-keyed after an optimistic insert
+          continue;
+        }
         const query = {
           type: 'object',
           url: absURL,
@@ -782,6 +1909,7 @@ class RelaksDjangoDataSource extends EventEmitter {
         };
         this.queries.unshift(query);
       }
+      this.evictQueries();
     }
     return changed;
   }
@@ -795,7 +1923,7 @@ class RelaksDjangoDataSource extends EventEmitter {
    * @return {Boolean}
    */
   runInsertHook(query, op) {
-    if (query.type === 'page' || query.type === 'list') {
+    if (query.type === 'page' || query.type === 'range' || query.type === 'list') {
       const defaultBehavior = 'refresh';
       const queryFolderURL = omitSearchString(query.url);
       if (queryFolderURL === op.url) {
@@ -860,7 +1988,7 @@ class RelaksDjangoDataSource extends EventEmitter {
           }
         }
       }
-    } else if (query.type === 'page' || query.type === 'list') {
+    } else if (query.type === 'page' || query.type === 'range' || query.type === 'list') {
       const defaultBehavior = 'refresh';
       const queryFolderURL = omitSearchString(query.url);
       if (queryFolderURL === op.url) {
@@ -903,7 +2031,10 @@ class RelaksDjangoDataSource extends EventEmitter {
         }
       }
     }
-    pullObjects(this.queries, removing);
+    if (removing.length > 0) {
+      pullObjects(this.queries, removing);
+      this.updateSubscriptions();
+    }
     return changed;
   }
 
@@ -934,7 +2065,7 @@ class RelaksDjangoDataSource extends EventEmitter {
           }
         }
       }
-    } else if (query.type === 'page' || query.type === 'list') {
+    } else if (query.type === 'page' || query.type === 'range' || query.type === 'list') {
       const defaultBehavior = (query.type === 'list') ? 'remove' : 'refresh';
       const queryFolderURL = omitSearchString(query.url);
       if (queryFolderURL === op.url) {
@@ -957,15 +2088,224 @@ class RelaksDjangoDataSource extends EventEmitter {
   }
 
   /**
-   * Mark matching queries as expired
+   * Apply a change notification from the server (received through the
+   * change feed) to cached queries, using their hooks
    *
-   * @param  {String|Date} time
+   * @param  {Object} change
    *
    * @return {Boolean}
    */
-  invalidate(time) {
-    if (time instanceof Date) {
-      time = time.toISOString();
+  applyChange(change) {
+    const { action, url, object } = change;
+    if (!url) {
+      return this.invalidate();
+    }
+    const absURL = this.resolveURL(url);
+    const folderAbsURL = getFolderURL(absURL);
+    let changed = false;
+    if (action === 'create' && object) {
+      changed = this.runInsertHooks({ url: folderAbsURL, results: [ object ] });
+    } else if (action === 'update' && object) {
+      changed = this.runUpdateHooks({ url: folderAbsURL, results: [ object ] });
+    } else if (action === 'delete' && (object || this.findCachedObject(absURL))) {
+      const deletedObject = object || this.findCachedObject(absURL);
+      changed = this.runDeleteHooks({ url: folderAbsURL, results: [ deletedObject ] });
+    } else {
+      // don't know exactly what has changed
+      changed = this.invalidateMatching(absURL);
+    }
+    if (changed) {
+      this.saveQueries();
+    }
+    return this.notifyChanges(changed);
+  }
+
+  /**
+   * Mark queries on an object or a folder as expired, along with those on
+   * the folder containing the object or on objects in the folder
+   *
+   * @param  {String} absURL
+   *
+   * @return {Boolean}
+   */
+  invalidateMatching(absURL) {
+    const folderAbsURL = getFolderURL(absURL);
+    let changed = false;
+    for (let query of this.queries) {
+      if (!query.expired) {
+        const queryURL = omitSearchString(query.url);
+        if (queryURL === absURL || queryURL === folderAbsURL || getFolderURL(queryURL) === absURL) {
+          query.expired = true;
+          changed = true;
+        }
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Send the URLs of folders with cached queries to the change feed, if
+   * they are different from those sent earlier
+   */
+  updateSubscriptions() {
+    const { changeFeed } = this.options;
+    if (!changeFeed || !this.active) {
+      return;
+    }
+    const folderURLs = [];
+    for (let query of this.queries) {
+      let folderURL;
+      if (query.type === 'object') {
+        folderURL = getFolderURL(query.url);
+      } else if (query.type === 'page' || query.type === 'range' || query.type === 'list') {
+        folderURL = omitSearchString(query.url);
+      }
+      if (folderURL && folderURLs.indexOf(folderURL) === -1) {
+        folderURLs.push(folderURL);
+      }
+    }
+    folderURLs.sort();
+    if (!matchObject(folderURLs, this.subscribedFolderURLs)) {
+      this.subscribedFolderURLs = folderURLs;
+      changeFeed.subscribe(folderURLs);
+    }
+  }
+
+  /**
+   * Open the channel through which changes are exchanged with data sources
+   * in other browser tabs
+   */
+  openBroadcastChannel() {
+    if (typeof(BroadcastChannel) !== 'function') {
+      if (process.env.NODE_ENV !== 'production') {
+        console.warn('BroadcastChannel is not supported');
+      }
+      return;
+    }
+    const channel = new BroadcastChannel(this.options.broadcastChannel);
+    channel.addEventListener('message', this.handleBroadcast);
+    this.broadcastChannel = channel;
+  }
+
+  /**
+   * Close the broadcast channel
+   */
+  closeBroadcastChannel() {
+    const channel = this.broadcastChannel;
+    if (channel) {
+      channel.removeEventListener('message', this.handleBroadcast);
+      channel.close();
+      this.broadcastChannel = null;
+    }
+  }
+
+  /**
+   * Send a message to data sources in other tabs
+   *
+   * @param  {Object} message
+   */
+  broadcast(message) {
+    if (!this.broadcastChannel || this.receivingBroadcast) {
+      // don't send back what was received from another tab
+      return;
+    }
+    try {
+      this.broadcastChannel.postMessage(message);
+    } catch (err) {
+      // objects might contain things that can't be cloned
+      if (process.env.NODE_ENV !== 'production') {
+        console.warn('Unable to broadcast change: ' + err.message);
+      }
+    }
+  }
+
+  /**
+   * Apply a change or an authorization made by a data source in another tab
+   *
+   * @param  {Object} message
+   *
+   * @return {Boolean}
+   */
+  receiveBroadcast(message) {
+    let changed = false;
+    this.receivingBroadcast = true;
+    try {
+      switch (message.type) {
+        case 'mutation':
+          for (let op of message.ops) {
+            let opChanged;
+            switch (message.operation) {
+              case 'insert':
+                opChanged = this.runInsertHooks(op);
+                break;
+              case 'update':
+              case 'patch':
+                opChanged = this.runUpdateHooks(op);
+                break;
+              case 'delete':
+                opChanged = this.runDeleteHooks(op);
+                break;
+            }
+            if (opChanged) {
+              changed = true;
+            }
+          }
+          changed = this.notifyChanges(changed);
+          break;
+        case 'invalidate':
+          if (message.queries) {
+            for (let query of this.queries) {
+              if (!query.expired) {
+                // options aren't sent, since they can contain functions
+                if (message.queries.some(key => matchQuery(query, key))) {
+                  query.expired = true;
+                  changed = true;
+                }
+              }
+            }
+            changed = this.notifyChanges(changed);
+          } else {
+            changed = this.invalidate(message.time);
+          }
+          break;
+        case 'authorize':
+          if (message.previousToken) {
+            // access token refreshed by another tab
+            const authorization = this.findAuthorization(message.previousToken);
+            if (authorization) {
+              this.updateAuthorization(authorization, message.token, message.props);
+              break;
+            }
+          }
+          // resolves pending authentication requests
+          this.authorize(message.token, message.allowURLs, false, message.props);
+          break;
+        case 'cancelAuthorization':
+          this.cancelAuthorization(message.denyURLs);
+          break;
+        case 'invalidateToken':
+          this.invalidateToken(message.token);
+          break;
+        case 'revokeAuthorization':
+          this.deauthorize(message.denyURLs);
+          break;
+      }
+    } finally {
+      this.receivingBroadcast = false;
+    }
+    return changed;
+  }
+
+  /**
+   * Mark matching queries as expired
+   *
+   * @param  {String|Date} time
+   *
+   * @return {Boolean}
+   */
+  invalidate(time) {
+    if (time instanceof Date) {
+      time = time.toISOString();
     }
     let changed = false;
     for (let query of this.queries) {
@@ -976,6 +2316,7 @@ class RelaksDjangoDataSource extends EventEmitter {
         }
       }
     }
+    this.broadcast({ type: 'invalidate', time });
     return this.notifyChanges(changed);
   }
 
@@ -993,7 +2334,7 @@ class RelaksDjangoDataSource extends EventEmitter {
     const props = {
       type: 'object',
       url: absURL,
-      options: options || {},
+      options: getQueryOptions(options),
     };
     let query = this.findQuery(props);
     if (!query) {
@@ -1003,6 +2344,7 @@ class RelaksDjangoDataSource extends EventEmitter {
       query.expired = true;
       changed = true;
     }
+    this.broadcast({ type: 'invalidate', queries: [ getQueryKey(props) ] });
     return this.notifyChanges(changed);
   }
 
@@ -1020,13 +2362,14 @@ class RelaksDjangoDataSource extends EventEmitter {
     const props = {
       type: 'list',
       url: absURL,
-      options: options || {},
+      options: getQueryOptions(options),
     };
     const query = this.findQuery(props);
     if (query && !query.expired) {
       query.expired = true;
       changed = true;
     }
+    this.broadcast({ type: 'invalidate', queries: [ getQueryKey(props) ] });
     return this.notifyChanges(changed);
   }
 
@@ -1046,13 +2389,43 @@ class RelaksDjangoDataSource extends EventEmitter {
       type: 'page',
       url: absURL,
       page: page,
-      options: options || {},
+      options: getQueryOptions(options),
     };
     const query = this.findQuery(props);
     if (query && !query.expired) {
       query.expired = true;
       changed = true;
     }
+    this.broadcast({ type: 'invalidate', queries: [ getQueryKey(props) ] });
+    return this.notifyChanges(changed);
+  }
+
+  /**
+   * Invalidate a range query
+   *
+   * @param  {String} url
+   * @param  {Number} offset
+   * @param  {Number} limit
+   * @param  {Object|undefined} options
+   *
+   * @return {Boolean}
+   */
+  invalidateRange(url, offset, limit, options) {
+    let changed = false;
+    const absURL = this.resolveURL(url);
+    const props = {
+      type: 'range',
+      url: absURL,
+      offset: offset,
+      limit: limit,
+      options: getQueryOptions(options),
+    };
+    const query = this.findQuery(props);
+    if (query && !query.expired) {
+      query.expired = true;
+      changed = true;
+    }
+    this.broadcast({ type: 'invalidate', queries: [ getQueryKey(props) ] });
     return this.notifyChanges(changed);
   }
 
@@ -1072,22 +2445,105 @@ class RelaksDjangoDataSource extends EventEmitter {
         fetchOptions[name] = options[name];
       }
     }
+    const keys = [];
     for (let url of urls) {
       const absURL = this.resolveURL(url);
       const props = {
         type: 'object',
         url: absURL,
-        options: fetchOptions,
+        options: getQueryOptions(fetchOptions),
       };
       const query = this.findQuery(props);
       if (query && !query.expired) {
         query.expired = true;
         changed = true;
       }
+      keys.push(getQueryKey(props));
     }
+    this.broadcast({ type: 'invalidate', queries: keys });
     return this.notifyChanges(changed);
   }
 
+  /**
+   * Remove a query that did not finish because the request was canceled or
+   * timed out, so that it'd be performed again the next time
+   *
+   * @param  {Object} query
+   * @param  {Error} err
+   */
+  removeCanceledQuery(query, err) {
+    if (isCancellation(err)) {
+      pullObjects(this.queries, [ query ]);
+      this.updateSubscriptions();
+    }
+  }
+
+  /**
+   * Record the time when a query is used
+   *
+   * @param  {Object} query
+   */
+  touchQuery(query) {
+    query.accessTime = ++this.accessCounter;
+    this.updateSubscriptions();
+  }
+
+  /**
+   * Remove the least recently used queries when there're more queries or
+   * objects than permitted. Queries that haven't finished are kept, as is
+   * the query whose result is being returned.
+   *
+   * @param  {Object|undefined} currentQuery
+   *
+   * @return {Boolean}
+   */
+  evictQueries(currentQuery) {
+    const { maxQueries, maxObjects } = this.options;
+    if (!(maxQueries > 0) && !(maxObjects > 0)) {
+      return false;
+    }
+    let queryCount = this.queries.length;
+    let objectCount = 0;
+    for (let query of this.queries) {
+      objectCount += countObjects(query);
+    }
+    const exceeded = () => {
+      if (maxQueries > 0 && queryCount > maxQueries) {
+        return true;
+      }
+      if (maxObjects > 0 && objectCount > maxObjects) {
+        return true;
+      }
+      return false;
+    };
+    if (!exceeded()) {
+      return false;
+    }
+    const candidates = this.queries.filter((query) => {
+      return (query !== currentQuery && !isPending(query));
+    });
+    candidates.sort((a, b) => (a.accessTime || 0) - (b.accessTime || 0));
+    const evicting = [];
+    for (let query of candidates) {
+      if (!exceeded()) {
+        break;
+      }
+      evicting.push(query);
+      queryCount--;
+      objectCount -= countObjects(query);
+    }
+    if (evicting.length === 0) {
+      return false;
+    }
+    pullObjects(this.queries, evicting);
+    this.updateSubscriptions();
+    this.triggerEvent(new DataSourceEvent('evict', this, {
+      queries: evicting,
+    }));
+    this.saveQueries();
+    return true;
+  }
+
   /**
    * Return true if a URL is cached, with optional check for expiration
    *
@@ -1098,9 +2554,11 @@ class RelaksDjangoDataSource extends EventEmitter {
    */
   isCached(url, unexpired) {
     const absURL = this.resolveURL(url);
+    const resourceAbsURL = this.resolveResourceURL(url);
     let cached = false;
     for (let query of this.queries) {
-      if (query.url === absURL) {
+      const isResource = (query.type === 'blob' || query.type === 'text');
+      if (query.url === (isResource ? resourceAbsURL : absURL)) {
         if (query.object || query.objects) {
           if (!unexpired || !query.expired) {
             cached = true;
@@ -1132,6 +2590,9 @@ class RelaksDjangoDataSource extends EventEmitter {
    * @return {Object|undefined}
    */
   findQuery(props) {
+    if (props.url) {
+      props = { ...props, url: canonicalizeURL(props.url) };
+    }
     return this.queries.find((query) => {
       return matchQuery(query, props);
     });
@@ -1152,7 +2613,7 @@ class RelaksDjangoDataSource extends EventEmitter {
     const objectID = parseInt(absURL.substr(folderAbsURL.length));
     for (let query of this.queries) {
       if (!query.expired) {
-        if (query.type === 'page' || query.type === 'list') {
+        if (query.type === 'page' || query.type === 'range' || query.type === 'list') {
           let abbreviated = false;
           if (this.options.abbreviatedFolderContents) {
             abbreviated = true;
@@ -1262,23 +2723,26 @@ class RelaksDjangoDataSource extends EventEmitter {
    * @return {Promise<Boolean>}
    */
   authenticate(loginURL, credentials, allowURLs) {
+    const { authenticationScheme, oauthClientID, oauthScope } = this.options;
     const loginAbsURL = this.resolveURL(loginURL);
     const allowAbsURLs = this.resolveURLs(allowURLs || [ '/' ]);
-    const options = {
-      method: 'POST',
-      mode: 'cors',
-      cache: 'no-cache',
-      headers: {
-        'Content-Type': 'application/json; charset=utf-8',
-      },
-      body: JSON.stringify(credentials),
-    };
+    let params = credentials;
+    if (authenticationScheme === 'oauth2') {
+      // resource owner password credentials grant
+      params = {
+        grant_type: 'password',
+        client_id: oauthClientID,
+        scope: oauthScope,
+        ...credentials,
+      };
+    }
+    const options = this.getTokenRequestOptions(params);
     return this.request(loginAbsURL, options, null, false).then((response) => {
-      const token = (response) ? response.key : null;
+      const { token, ...props } = parseTokenResponse(authenticationScheme, response);
       if (!token) {
-        throw new DataSourceError(403, 'No authorization token');
+        throw new PermissionError(403, 'No authorization token', response, getErrorContext(loginAbsURL, options));
       }
-      return this.authorize(token, allowAbsURLs, true);
+      return this.authorize(token, allowAbsURLs, true, props);
     });
   }
 
@@ -1288,10 +2752,11 @@ class RelaksDjangoDataSource extends EventEmitter {
    * @param  {String} token
    * @param  {Array<String>} allowURLs
    * @param  {Boolean} fresh
+   * @param  {Object|undefined} props
    *
    * @return {Promise<Boolean>}
    */
-  authorize(token, allowURLs, fresh) {
+  authorize(token, allowURLs, fresh, props) {
     let invalid = false;
     if (token) {
       for (let authorization of this.authorizations) {
@@ -1308,11 +2773,17 @@ class RelaksDjangoDataSource extends EventEmitter {
     if (invalid) {
       return Promise.resolve(false);
     }
+    // don't send back a token received from another tab
+    const relay = !this.receivingBroadcast;
     const allowAbsURLs = this.resolveURLs(allowURLs || [ '/' ]);
+    const refreshToken = (props && props.refreshToken) || null;
+    const scopes = (props && props.scopes) || null;
     const authorizationEvent = new DataSourceEvent('authorization', this, {
       token: token,
       allowURLs: allowAbsURLs,
       fresh: !!fresh,
+      refreshToken: refreshToken,
+      scopes: scopes,
     });
     this.triggerEvent(authorizationEvent);
     return authorizationEvent.waitForDecision().then(() => {
@@ -1338,7 +2809,23 @@ class RelaksDjangoDataSource extends EventEmitter {
         allow: allowAbsURLs,
         deny: []
       };
+      if (scopes) {
+        newAuthorization.scopes = scopes;
+      }
+      if (refreshToken) {
+        newAuthorization.refreshToken = refreshToken;
+        setTokenExpiration(newAuthorization, props.expiresIn);
+      }
       this.authorizations.push(newAuthorization);
+      this.saveAuthorizations();
+      if (relay) {
+        this.broadcast({
+          type: 'authorize',
+          token: token,
+          allowURLs: allowAbsURLs,
+          props: props,
+        });
+      }
 
       // resolve and remove authentication querys
       const resolved = [];
@@ -1378,11 +2865,21 @@ class RelaksDjangoDataSource extends EventEmitter {
    */
   cancelAuthorization(denyURLs) {
     const denyAbsURLs = this.resolveURLs(denyURLs || [ '/' ]);
+    this.removeAuthorizations(denyAbsURLs);
+    this.broadcast({ type: 'cancelAuthorization', denyURLs: denyAbsURLs });
+  }
+
+  /**
+   * Remove authorization for the given URLs
+   *
+   * @param  {Array<String>} denyAbsURLs
+   */
+  removeAuthorizations(denyAbsURLs) {
     const canceled = [];
     for (let authorization of this.authorizations) {
       if (!authorization.invalid) {
         authorization.allow = authorization.allow.filter((url) => {
-          return (denyURLs.indexOf(url) === -1);
+          return (denyAbsURLs.indexOf(url) === -1);
         });
 
         // add to deny list if it's still allowed
@@ -1397,6 +2894,7 @@ class RelaksDjangoDataSource extends EventEmitter {
       }
     }
     pullObjects(this.authorizations, canceled);
+    this.saveAuthorizations();
   }
 
   /**
@@ -1410,31 +2908,61 @@ class RelaksDjangoDataSource extends EventEmitter {
   revokeAuthorization(logoutURL, denyURLs) {
     const logoutAbsURL = this.resolveURL(logoutURL);
     const denyAbsURLs = this.resolveURLs(denyURLs || [ '/' ]);
+    const { authenticationScheme, oauthClientID } = this.options;
     const token = this.getToken(denyAbsURLs[0]);
-    const options = {
-      method: 'POST',
-      mode: 'cors',
-      cache: 'no-cache',
-    };
-    return this.request(logoutAbsURL, options, token, false).then(() => {
-      this.cancelAuthorization(denyAbsURLs);
-      const deauthorizationEvent = new DataSourceEvent('deauthorization', this, {
-        denyURLs: denyAbsURLs,
+    const authorization = this.findAuthorization(token);
+    const refreshToken = (authorization) ? authorization.refreshToken : null;
+    let options;
+    if (authenticationScheme === 'oauth2') {
+      // revoking the refresh token revokes the access token as well
+      options = this.getTokenRequestOptions({
+        token: refreshToken || token,
+        token_type_hint: (refreshToken) ? 'refresh_token' : 'access_token',
+        client_id: oauthClientID,
       });
-      this.triggerEvent(deauthorizationEvent);
-      return deauthorizationEvent.waitForDecision().then(() => {
-        const clearCachedQueries = !deauthorizationEvent.defaultPrevented;
-        if (clearCachedQueries) {
-          const denying = [];
-          for (let query of this.queries) {
-            if (matchAnyURL(query.url, denyAbsURLs)) {
-              denying.push(query);
-            }
+    } else if (refreshToken) {
+      // send the refresh token so it can be blacklisted
+      options = this.getTokenRequestOptions({ refresh: refreshToken });
+    } else {
+      options = {
+        method: 'POST',
+        mode: 'cors',
+        cache: 'no-cache',
+      };
+    }
+    return this.request(logoutAbsURL, options, token, false).then(() => {
+      this.broadcast({ type: 'revokeAuthorization', denyURLs: denyAbsURLs });
+      return this.deauthorize(denyAbsURLs);
+    });
+  }
+
+  /**
+   * Remove authorization for the given URLs after logging out, along with
+   * cached queries unless the deauthorization event is default-prevented
+   *
+   * @param  {Array<String>} denyAbsURLs
+   *
+   * @return {Promise}
+   */
+  deauthorize(denyAbsURLs) {
+    this.removeAuthorizations(denyAbsURLs);
+    const deauthorizationEvent = new DataSourceEvent('deauthorization', this, {
+      denyURLs: denyAbsURLs,
+    });
+    this.triggerEvent(deauthorizationEvent);
+    return deauthorizationEvent.waitForDecision().then(() => {
+      const clearCachedQueries = !deauthorizationEvent.defaultPrevented;
+      if (clearCachedQueries) {
+        const denying = [];
+        for (let query of this.queries) {
+          if (matchAnyURL(query.url, denyAbsURLs)) {
+            denying.push(query);
           }
-          pullObjects(this.queries, denying);
         }
-        this.notifyChanges(true);
-      });
+        pullObjects(this.queries, denying);
+        this.updateSubscriptions();
+      }
+      this.notifyChanges(true);
     });
   }
 
@@ -1458,70 +2986,302 @@ class RelaksDjangoDataSource extends EventEmitter {
   }
 
   /**
-   * Mark authorization token as invalid
+   * Return the authorization record of a token
    *
    * @param  {String} token
+   *
+   * @return {Object|undefined}
    */
-  invalidateToken(token) {
+  findAuthorization(token) {
     if (token) {
       for (let authorization of this.authorizations) {
         if (authorization.token === token) {
-          authorization.invalid = true;
+          return authorization;
         }
       }
     }
   }
 
-  waitForResults(inputs) {
-    const results = [];
-    const errors = [];
-    const promises = [];
-    let error = null;
-    for (let [ index, input ] of inputs.entries()) {
-      if (input.then instanceof Function) {
-        const promise = input.then((result) => {
-          results[index] = result;
-          errors[index] = null;
-        }, (err) => {
-          results[index] = null;
-          errors[index] = err;
-          if (!error) {
-            error = err;
-          }
-        });
-        promises.push(promise);
+  /**
+   * Obtain a new access token using the refresh token. Calls made while a
+   * request is outstanding share its result. An authorization event is
+   * triggered when a new token is received.
+   *
+   * @param  {Object} authorization
+   *
+   * @return {Promise<String|null>}
+   */
+  refreshAccessToken(authorization) {
+    if (!authorization.refreshPromise) {
+      const { authenticationScheme, oauthClientID, tokenRefreshURL } = this.options;
+      const refreshAbsURL = this.resolveURL(tokenRefreshURL);
+      let params;
+      if (authenticationScheme === 'oauth2') {
+        params = {
+          grant_type: 'refresh_token',
+          refresh_token: authorization.refreshToken,
+          client_id: oauthClientID,
+        };
       } else {
-        results[index] = input;
-        errors[index] = null;
+        params = { refresh: authorization.refreshToken };
       }
+      const options = this.getTokenRequestOptions(params);
+      const previousToken = authorization.token;
+      const previousRefreshToken = authorization.refreshToken;
+      authorization.refreshPromise = this.request(refreshAbsURL, options, null, false).then((response) => {
+        const { token, refreshToken, expiresIn, scopes } = parseTokenResponse(authenticationScheme, response);
+        if (!token) {
+          throw new PermissionError(403, 'No authorization token', response, getErrorContext(refreshAbsURL, options));
+        }
+        const props = { refreshToken, expiresIn, scopes };
+        this.updateAuthorization(authorization, token, props);
+        // let other tabs use the new token instead of refreshing on their own
+        this.broadcast({
+          type: 'authorize',
+          token: token,
+          previousToken: previousToken,
+          allowURLs: authorization.allow,
+          props: props,
+        });
+        return token;
+      }).catch((err) => {
+        if (err.status === 400 || err.status === 401 || err.status === 403) {
+          // refresh token is no longer valid, unless another tab has
+          // given us a new one in the meantime
+          if (authorization.refreshToken === previousRefreshToken) {
+            authorization.invalid = true;
+            this.saveAuthorizations();
+          }
+        }
+        return null;
+      }).then((token) => {
+        authorization.refreshPromise = null;
+        return token;
+      });
     }
-    this.stopExpirationCheck();
-    return Promise.all(promises).then(() => {
-      this.startExpirationCheck();
-      if (error) {
-        error.results = results;
-        error.errors = errors;
-      }
-      return { results, errors, error };
-    });
+    return authorization.refreshPromise;
   }
 
   /**
-   * Start expiration checking
+   * Replace the access token of an existing authorization with a refreshed
+   * one, then trigger an authorization event
+   *
+   * @param  {Object} authorization
+   * @param  {String} token
+   * @param  {Object} props
    */
-  startExpirationCheck() {
-    const { refreshInterval } = this.options;
-    if (refreshInterval > 0) {
-      if (!this.expirationCheckInterval) {
-        this.expirationCheckInterval = setInterval(() => {
-          this.checkExpiration();
-        }, Math.min(100, refreshInterval / 10));
-      }
+  updateAuthorization(authorization, token, props) {
+    const { refreshToken, expiresIn, scopes } = props;
+    authorization.token = token;
+    if (refreshToken) {
+      // refresh tokens are rotated
+      authorization.refreshToken = refreshToken;
+    }
+    if (scopes) {
+      authorization.scopes = scopes;
     }
+    authorization.invalid = false;
+    setTokenExpiration(authorization, expiresIn);
+    this.triggerEvent(new DataSourceEvent('authorization', this, {
+      token: token,
+      allowURLs: authorization.allow,
+      // the user hasn't logged in again
+      fresh: false,
+      refreshToken: authorization.refreshToken,
+      scopes: authorization.scopes || null,
+    }));
+    this.saveAuthorizations();
   }
 
   /**
-   * Stop expiration checking
+   * Return options for a POST request to an endpoint that issues or revokes
+   * tokens. OAuth2 servers expect form data while others expect JSON.
+   *
+   * @param  {Object} params
+   *
+   * @return {Object}
+   */
+  getTokenRequestOptions(params) {
+    const options = {
+      method: 'POST',
+      mode: 'cors',
+      cache: 'no-cache',
+    };
+    if (this.options.authenticationScheme === 'oauth2') {
+      options.headers = {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      };
+      options.body = encodeForm(params);
+    } else {
+      options.headers = {
+        'Content-Type': 'application/json; charset=utf-8',
+      };
+      options.body = JSON.stringify(params);
+    }
+    return options;
+  }
+
+  /**
+   * Return a new access token to replace one rejected by the server
+   *
+   * @param  {String} absURL
+   * @param  {String} token
+   *
+   * @return {Promise<String|null>}
+   */
+  renewAccessToken(absURL, token) {
+    const authorization = this.findAuthorization(token);
+    if (!authorization) {
+      // token has been replaced already
+      return Promise.resolve(this.getToken(absURL) || null);
+    }
+    if (!authorization.refreshToken) {
+      return Promise.resolve(null);
+    }
+    return this.refreshAccessToken(authorization);
+  }
+
+  /**
+   * Mark authorization token as invalid
+   *
+   * @param  {String} token
+   */
+  invalidateToken(token) {
+    if (token) {
+      let changed = false;
+      for (let authorization of this.authorizations) {
+        if (authorization.token === token) {
+          authorization.invalid = true;
+          changed = true;
+        }
+      }
+      if (changed) {
+        this.saveAuthorizations();
+        this.broadcast({ type: 'invalidateToken', token });
+      }
+    }
+  }
+
+  /**
+   * Load authorizations saved in an earlier session
+   *
+   * @return {Promise<Boolean>}
+   */
+  restoreAuthorizations() {
+    const { authorizationStorage } = this.options;
+    return authorizationStorage.load('authorizations').then((entries) => {
+      let changed = false;
+      if (entries instanceof Array) {
+        for (let entry of entries) {
+          if (!entry.token || this.findAuthorization(entry.token)) {
+            continue;
+          }
+          const authorization = { allow: [], deny: [] };
+          for (let name of savedAuthorizationProperties) {
+            if (entry[name] !== undefined) {
+              authorization[name] = entry[name];
+            }
+          }
+          this.authorizations.push(authorization);
+          changed = true;
+        }
+      }
+      this.authorizationRestorationPromise = null;
+      return this.notifyChanges(changed);
+    }).catch((err) => {
+      this.authorizationRestorationPromise = null;
+      if (process.env.NODE_ENV !== 'production') {
+        console.warn('Unable to restore authorizations: ' + err.message);
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Save valid authorizations to storage, removing the entry when there are
+   * none left
+   */
+  saveAuthorizations() {
+    const { authorizationStorage } = this.options;
+    if (!authorizationStorage) {
+      return;
+    }
+    // don't overwrite what's saved before it's been restored
+    Promise.resolve(this.authorizationRestorationPromise).then(() => {
+      const entries = [];
+      for (let authorization of this.authorizations) {
+        if (!authorization.invalid) {
+          const entry = {};
+          for (let name of savedAuthorizationProperties) {
+            if (authorization[name] !== undefined) {
+              entry[name] = authorization[name];
+            }
+          }
+          entries.push(entry);
+        }
+      }
+      if (entries.length > 0) {
+        return authorizationStorage.save('authorizations', entries);
+      } else {
+        return authorizationStorage.remove('authorizations');
+      }
+    }).catch((err) => {
+      if (process.env.NODE_ENV !== 'production') {
+        console.warn('Unable to save authorizations: ' + err.message);
+      }
+    });
+  }
+
+  waitForResults(inputs) {
+    const results = [];
+    const errors = [];
+    const promises = [];
+    let error = null;
+    for (let [ index, input ] of inputs.entries()) {
+      if (input.then instanceof Function) {
+        const promise = input.then((result) => {
+          results[index] = result;
+          errors[index] = null;
+        }, (err) => {
+          results[index] = null;
+          errors[index] = err;
+          if (!error) {
+            error = err;
+          }
+        });
+        promises.push(promise);
+      } else {
+        results[index] = input;
+        errors[index] = null;
+      }
+    }
+    this.stopExpirationCheck();
+    return Promise.all(promises).then(() => {
+      this.startExpirationCheck();
+      if (error) {
+        error.results = results;
+        error.errors = errors;
+      }
+      return { results, errors, error };
+    });
+  }
+
+  /**
+   * Start expiration checking
+   */
+  startExpirationCheck() {
+    const { refreshInterval } = this.options;
+    if (refreshInterval > 0) {
+      if (!this.expirationCheckInterval) {
+        this.expirationCheckInterval = setInterval(() => {
+          this.checkExpiration();
+        }, Math.min(100, refreshInterval / 10));
+      }
+    }
+  }
+
+  /**
+   * Stop expiration checking
    */
   stopExpirationCheck() {
     if (this.expirationCheckInterval) {
@@ -1545,15 +3305,21 @@ class RelaksDjangoDataSource extends EventEmitter {
    * Perform an HTTP GET operation
    *
    * @param  {String} url
+   * @param  {Object|undefined} options
    *
    * @return {Promise<Object>}
    */
-  get(url) {
+  get(url, options) {
     const token = this.getToken(url);
-    const options = {
+    const fetchOptions = {
       method: 'GET',
+      ...getRequestOptions(options),
     };
-    return this.request(url, options, token, true);
+    if (options && options.responseType) {
+      // return a Blob or text instead of parsing the response
+      fetchOptions.responseType = options.responseType;
+    }
+    return this.request(url, fetchOptions, token, true);
   }
 
   /**
@@ -1561,21 +3327,20 @@ class RelaksDjangoDataSource extends EventEmitter {
    *
    * @param  {String} url
    * @param  {Object} object
+   * @param  {Object|undefined} options
    *
    * @return {Promise<Object>}
    */
-  post(url, object) {
+  post(url, object, options) {
     const token = this.getToken(url);
-    const options = {
+    const fetchOptions = {
       method: 'POST',
       mode: 'cors',
       cache: 'no-cache',
-      headers: {
-        'Content-Type': 'application/json; charset=utf-8',
-      },
-      body: JSON.stringify(object),
+      ...getBodyOptions(object),
+      ...getRequestOptions(options),
     };
-    return this.request(url, options, token, true);
+    return this.request(url, fetchOptions, token, true);
   }
 
   /**
@@ -1583,38 +3348,60 @@ class RelaksDjangoDataSource extends EventEmitter {
    *
    * @param  {String} url
    * @param  {Object} object
+   * @param  {Object|undefined} options
    *
    * @return {Promise<Object>}
    */
-  put(url, object) {
+  put(url, object, options) {
     const token = this.getToken(url);
-    const options = {
+    const fetchOptions = {
       method: 'PUT',
       mode: 'cors',
       cache: 'no-cache',
-      headers: {
-        'Content-Type': 'application/json; charset=utf-8',
-      },
-      body: JSON.stringify(object),
+      ...getBodyOptions(object),
+      ...getRequestOptions(options),
     };
-    return this.request(url, options, token, true);
+    return this.request(url, fetchOptions, token, true);
+  }
+
+  /**
+   * Perform an HTTP PATCH operation
+   *
+   * @param  {String} url
+   * @param  {Object} object
+   * @param  {Object|undefined} options
+   *
+   * @return {Promise<Object>}
+   */
+  patch(url, object, options) {
+    const token = this.getToken(url);
+    const fetchOptions = {
+      method: 'PATCH',
+      mode: 'cors',
+      cache: 'no-cache',
+      ...getBodyOptions(object),
+      ...getRequestOptions(options),
+    };
+    return this.request(url, fetchOptions, token, true);
   }
 
   /**
    * Perform an HTTP DELETE operation
    *
    * @param  {String} url
+   * @param  {Object|undefined} options
    *
    * @return {Promise<null>}
    */
-  delete(url) {
+  delete(url, options) {
     const token = this.getToken(url);
-    const options = {
+    const fetchOptions = {
       method: 'DELETE',
       mode: 'cors',
       cache: 'no-cache',
+      ...getRequestOptions(options),
     };
-    return this.request(url, options, token, true);
+    return this.request(url, fetchOptions, token, true);
   }
 
   /**
@@ -1628,7 +3415,34 @@ class RelaksDjangoDataSource extends EventEmitter {
    * @return {Promise}
    */
   request(url, options, token, waitForAuthentication) {
-    if (token) {
+    if (this.authorizationRestorationPromise && waitForAuthentication) {
+      // use tokens saved in an earlier session
+      return this.authorizationRestorationPromise.then(() => {
+        return this.request(url, options, token || this.getToken(url), true);
+      });
+    }
+    const { authenticationScheme } = this.options;
+    if (usesBearerTokens(authenticationScheme) && token) {
+      const authorization = this.findAuthorization(token);
+      if (authorization && authorization.refreshToken && isExpiring(authorization)) {
+        // get a new access token first
+        return this.refreshAccessToken(authorization).then((newToken) => {
+          return this.request(url, options, newToken, waitForAuthentication);
+        });
+      }
+    }
+    let csrfToken;
+    if (authenticationScheme === 'session') {
+      // send cookies along, even to a different origin
+      options = { credentials: 'include', ...options };
+      if (isUnsafeMethod(options.method)) {
+        csrfToken = this.getCSRFToken();
+        if (csrfToken) {
+          const { csrfHeaderName } = this.options;
+          options.headers = { ...options.headers, [csrfHeaderName]: csrfToken };
+        }
+      }
+    } else if (token) {
       const { authorizationKeyword } = this.options;
       if (!options) {
         options = {};
@@ -1638,32 +3452,264 @@ class RelaksDjangoDataSource extends EventEmitter {
       }
       options.headers['Authorization'] = authorizationKeyword + ' ' + token;
     }
-    return this.fetch(url, options).then((response) => {
+    const policy = this.getRetryPolicy(options);
+    let retries = 0;
+    let timeout = this.options.timeout;
+    if (options && options.timeout !== undefined) {
+      timeout = options.timeout;
+      options = { ...options };
+      delete options.timeout;
+    }
+    let responseType;
+    if (options && options.responseType !== undefined) {
+      responseType = options.responseType;
+      options = { ...options };
+      delete options.responseType;
+    }
+    let validators;
+    if (options && options.validators !== undefined) {
+      validators = options.validators;
+      options = { ...options };
+      delete options.validators;
+      const conditions = {};
+      if (isUnsafeMethod(options.method)) {
+        // fail if the resource has been modified by someone else
+        if (validators.etag) {
+          conditions['If-Match'] = validators.etag;
+        }
+      } else {
+        if (validators.etag) {
+          conditions['If-None-Match'] = validators.etag;
+        }
+        if (validators.lastModified) {
+          conditions['If-Modified-Since'] = validators.lastModified;
+        }
+      }
+      options.headers = { ...options.headers, ...conditions };
+    }
+    let timer = 0;
+    let timedOut = false;
+    const canRetry = (status) => {
+      if (!policy || retries >= policy.count) {
+        return false;
+      }
+      if (timedOut || (options && options.signal && options.signal.aborted)) {
+        return false;
+      }
+      // undefined status means network error
+      return (status === undefined || policy.statuses.indexOf(status) !== -1);
+    };
+    const retry = () => {
+      const delay = getRetryDelay(policy, retries++);
+      return new Promise((resolve) => {
+        setTimeout(resolve, delay);
+      }).then(attempt);
+    };
+    const attempt = () => {
+      let fetchOptions = options;
+      if (timeout > 0) {
+        // abort the request when it takes too long
+        const controller = createAbortController(options && options.signal);
+        if (controller) {
+          fetchOptions = { ...options, signal: controller.signal };
+        }
+        timer = setTimeout(() => {
+          timedOut = true;
+          if (controller) {
+            controller.abort();
+          }
+        }, timeout);
+      }
+      return this.fetch(url, fetchOptions).then((response) => {
+        if (canRetry(response.status)) {
+          clearTimeout(timer);
+          return retry();
+        }
+        return response;
+      }, (err) => {
+        clearTimeout(timer);
+        if (timedOut) {
+          err = new TimeoutError(timeout, getErrorContext(url, options));
+        } else if (canRetry()) {
+          return retry();
+        }
+        err.retries = retries;
+        throw err;
+      });
+    };
+    const reauthenticate = (error) => {
+      return this.requestAuthentication(url).then((newToken) => {
+        if (newToken) {
+          return this.request(url, { ...options, timeout, responseType, validators }, newToken, true);
+        } else {
+          throw error;
+        }
+      });
+    };
+    return attempt().then((response) => {
       const { status, statusText } = response;
       if (status < 400) {
+        if (validators) {
+          if (status === 304) {
+            // resource hasn't changed since the last request
+            clearTimeout(timer);
+            return;
+          }
+          validators.etag = response.headers.get('ETag') || undefined;
+          validators.lastModified = response.headers.get('Last-Modified') || undefined;
+        }
         if (status == 204) {
+          clearTimeout(timer);
           return null;
         }
-        return response.json();
+        return this.parseResponse(response, responseType).then((result) => {
+          clearTimeout(timer);
+          return result;
+        }, (err) => {
+          clearTimeout(timer);
+          if (timedOut) {
+            err = new TimeoutError(timeout, getErrorContext(url, options, response));
+            err.retries = retries;
+          }
+          throw err;
+        });
       } else {
-        if (status === 401 || status === 403) {
-          this.invalidateToken(token);
-        }
-        if (status === 401 && waitForAuthentication) {
-          return this.requestAuthentication(url).then((newToken) => {
-            if (newToken) {
-              return this.request(url, options, newToken, true);
-            } else {
-              throw new DataSourceError(status, statusText);
+        clearTimeout(timer);
+        return readResponseText(response).then((text) => {
+          const body = parseErrorBody(text);
+          const context = getErrorContext(url, options, response, text);
+          const error = createError(status, statusText, body, context);
+          error.retries = retries;
+          if (status === 403 && authenticationScheme === 'session') {
+            if (isCSRFFailure(body)) {
+              // try again if a different CSRF token is obtained
+              return this.refreshCSRFToken().then((newCSRFToken) => {
+                if (newCSRFToken && newCSRFToken !== csrfToken) {
+                  return this.request(url, { ...options, timeout, responseType, validators }, token, waitForAuthentication);
+                }
+                throw error;
+              });
             }
-          });
-        } else {
-          throw new DataSourceError(status, statusText);
-        }
+            this.invalidateToken(token);
+            if (!token && waitForAuthentication) {
+              // DRF's SessionAuthentication responds with 403 instead of
+              // 401 when the user isn't logged in
+              return reauthenticate(error);
+            }
+            throw error;
+          }
+          if (status === 401 && usesBearerTokens(authenticationScheme) && token) {
+            // obtain a new access token and try again
+            return this.renewAccessToken(url, token).then((newToken) => {
+              if (newToken && newToken !== token) {
+                return this.request(url, { ...options, timeout, responseType, validators }, newToken, waitForAuthentication);
+              }
+              this.invalidateToken(token);
+              if (waitForAuthentication) {
+                return reauthenticate(error);
+              }
+              throw error;
+            });
+          }
+          if (status === 401 || status === 403) {
+            this.invalidateToken(token);
+          }
+          if (status === 401 && waitForAuthentication) {
+            return reauthenticate(error);
+          } else {
+            throw error;
+          }
+        });
       }
     });
   }
 
+  /**
+   * Extract the content of a successful response. Unless a response type is
+   * specified, a parser is chosen based on the content type. Responses are
+   * parsed as JSON when there's no suitable parser.
+   *
+   * @param  {Response} response
+   * @param  {String|undefined} responseType
+   *
+   * @return {Promise<*>}
+   */
+  parseResponse(response, responseType) {
+    if (responseType === 'blob') {
+      return response.blob();
+    } else if (responseType === 'text') {
+      return response.text();
+    }
+    const contentType = response.headers.get('Content-Type');
+    const parser = findResponseParser(this.options.responseParsers, contentType);
+    if (parser) {
+      return Promise.resolve().then(() => parser(response));
+    }
+    return response.text().then((text) => {
+      // some endpoints (e.g. token revocation) return an empty body
+      return (text) ? JSON.parse(text) : null;
+    });
+  }
+
+  /**
+   * Return the CSRF token stored in the cookie set by Django
+   *
+   * @return {String|undefined}
+   */
+  getCSRFToken() {
+    if (typeof(document) !== 'object') {
+      return;
+    }
+    const { csrfCookieName } = this.options;
+    return getCookie(document.cookie, csrfCookieName);
+  }
+
+  /**
+   * Ask the server for a new CSRF cookie, returning the new token. Calls made
+   * while a request is outstanding share its result.
+   *
+   * @return {Promise<String|undefined>}
+   */
+  refreshCSRFToken() {
+    if (!this.csrfPromise) {
+      const csrfAbsURL = this.resolveURL(this.options.csrfURL || '/');
+      const options = {
+        method: 'GET',
+        mode: 'cors',
+        cache: 'no-cache',
+        credentials: 'include',
+      };
+      this.csrfPromise = this.fetch(csrfAbsURL, options).catch((err) => {
+        if (process.env.NODE_ENV !== 'production') {
+          console.warn('Unable to obtain CSRF token: ' + err.message);
+        }
+      }).then(() => {
+        this.csrfPromise = null;
+        return this.getCSRFToken();
+      });
+    }
+    return this.csrfPromise;
+  }
+
+  /**
+   * Return the retry policy that applies to a request, if any
+   *
+   * @param  {Object|undefined} options
+   *
+   * @return {Object|null}
+   */
+  getRetryPolicy(options) {
+    const { retryPolicy } = this.options;
+    if (!retryPolicy) {
+      return null;
+    }
+    const method = (options && options.method) || 'GET';
+    if (retryPolicy.methods.indexOf(method) === -1) {
+      return null;
+    }
+    return retryPolicy;
+  }
+
   /**
    * Wait for active to become true then run fetch()
    *
@@ -1673,13 +3719,20 @@ class RelaksDjangoDataSource extends EventEmitter {
     return this.waitForActivation().then(() => {
       let { fetchFunc } = this.options;
       if (!fetchFunc) {
-        fetchFunc = fetch;
+        if (options && options.onUploadProgress && typeof(XMLHttpRequest) === 'function') {
+          // fetch() doesn't provide progress of upload
+          fetchFunc = fetchWithProgress;
+        } else {
+          fetchFunc = fetch;
+        }
       }
       return fetchFunc(url, options).catch((err) => {
         // try again if the data source was deactivated in the middle of
         // an operation
         if (!this.active) {
           return this.fetch(url, options);
+        } else if (err && err.name !== 'AbortError' && !(err instanceof DataSourceError)) {
+          throw new NetworkError(err, getErrorContext(url, options));
         } else {
           throw err;
         }
@@ -1744,14 +3797,17 @@ function runHook(query, hookName, input, defaultBehavior) {
             break;
           case 'list::replace':
           case 'page::replace':
+          case 'range::replace':
             hookFunc = replaceObjects;
             break;
           case 'list::unshift':
           case 'page::unshift':
+          case 'range::unshift':
             hookFunc = unshiftObjects;
             break;
           case 'list::push':
           case 'page::push':
+          case 'range::push':
             hookFunc = pushObjects;
             break;
           case 'object::remove':
@@ -1759,6 +3815,7 @@ function runHook(query, hookName, input, defaultBehavior) {
             break;
           case 'list::remove':
           case 'page::remove':
+          case 'range::remove':
             hookFunc = removeObjects;
             break;
           default:
@@ -1789,7 +3846,7 @@ function runHook(query, hookName, input, defaultBehavior) {
       query.expired = true;
     }
     return true;
-  } else if (query.type === 'page' || query.type === 'list') {
+  } else if (query.type === 'page' || query.type === 'range' || query.type === 'list') {
     let impact = true;
     if (query.objects && input.every(Boolean)) {
       // sort list by ID or URL
@@ -1806,9 +3863,11 @@ function runHook(query, hookName, input, defaultBehavior) {
     if (impact instanceof Array) {
       const objects = impact;
       if (query.type === 'list') {
-        // update the total
+        // update the total (if it's known)
         const diff = objects.length - query.objects.length;
-        objects.total = query.objects.total + diff;
+        if (query.objects.total !== undefined) {
+          objects.total = query.objects.total + diff;
+        }
 
         if (query.type === 'list') {
           // restore more function
@@ -1965,9 +4024,26 @@ function matchQuery(query, props) {
 }
 
 /**
- * See if two objects are identical
+ * Return the properties that identify a query, minus its options
  *
- * @param  {*} object1
+ * @param  {Object} props
+ *
+ * @return {Object}
+ */
+function getQueryKey(props) {
+  const key = {};
+  for (let name in props) {
+    if (name !== 'options') {
+      key[name] = props[name];
+    }
+  }
+  return key;
+}
+
+/**
+ * See if two objects are identical
+ *
+ * @param  {*} object1
  * @param  {*} object2
  *
  * @return {Boolean}
@@ -2057,6 +4133,75 @@ function addTrailingSlash(url) {
   return url;
 }
 
+/**
+ * Put a URL into a standard form, so that URLs pointing to the same resource
+ * are identical: the scheme and host are made lowercase, default ports are
+ * removed, query variables are sorted by name and consistently encoded, and
+ * the fragment is dropped
+ *
+ * @param  {String} url
+ *
+ * @return {String}
+ */
+function canonicalizeURL(url) {
+  const fi = url.indexOf('#');
+  if (fi !== -1) {
+    url = url.substr(0, fi);
+  }
+  const qi = url.indexOf('?');
+  let path = url;
+  let search = '';
+  if (qi !== -1) {
+    path = url.substr(0, qi);
+    search = url.substr(qi + 1);
+  }
+  const m = /^(https?):\/\/([^\/]*)/i.exec(path);
+  if (m) {
+    const scheme = m[1].toLowerCase();
+    let host = m[2].toLowerCase();
+    if ((scheme === 'http' && /:80$/.test(host)) || (scheme === 'https' && /:443$/.test(host))) {
+      host = host.replace(/:\d+$/, '');
+    }
+    path = `${scheme}://${host}` + path.substr(m[0].length);
+  }
+  const pairs = [];
+  for (let pair of search.split('&')) {
+    if (pair) {
+      const ei = pair.indexOf('=');
+      const name = (ei !== -1) ? pair.substr(0, ei) : pair;
+      const value = (ei !== -1) ? pair.substr(ei + 1) : '';
+      pairs.push({ name: decodeComponent(name), value: decodeComponent(value) });
+    }
+  }
+  if (pairs.length === 0) {
+    return path;
+  }
+  // sort is stable, so the order of repeated variables is kept
+  pairs.sort((a, b) => {
+    return (a.name < b.name) ? -1 : (a.name > b.name) ? 1 : 0;
+  });
+  const encoded = pairs.map((pair) => {
+    return encodeURIComponent(pair.name) + '=' + encodeURIComponent(pair.value);
+  });
+  return path + '?' + encoded.join('&');
+}
+
+/**
+ * Decode a component of a query string, leaving it alone when it's malformed
+ *
+ * @param  {String} s
+ *
+ * @return {String}
+ */
+function decodeComponent(s) {
+  s = s.replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(s);
+  } catch (err) {
+    return s;
+  }
+}
+
 /**
  * Return the URL of the parent folder
  *
@@ -2065,6 +4210,7 @@ function addTrailingSlash(url) {
  * @return {String|undefined}
  */
 function getFolderURL(url) {
+  url = omitSearchString(canonicalizeURL(url));
   let ei = url.lastIndexOf('/');
   if (ei === url.length - 1) {
     ei = url.lastIndexOf('/', ei - 1);
@@ -2129,8 +4275,35 @@ function attachPageNumber(url, page) {
   return url + sep + 'page=' + page;
 }
 
+/**
+ * Append the variables "limit" and "offset" to a URL's query
+ *
+ * @param  {String} url
+ * @param  {Number} offset
+ * @param  {Number} limit
+ *
+ * @return {String}
+ */
+function attachRange(url, offset, limit) {
+  const qi = url.indexOf('?');
+  const sep = (qi === -1) ? '?' : '&';
+  let search = 'limit=' + limit;
+  if (offset > 0) {
+    search += '&offset=' + offset;
+  }
+  return url + sep + search;
+}
+
+/**
+ * Remove the query string and the fragment from a URL
+ *
+ * @param  {String} url
+ *
+ * @return {String}
+ */
 function omitSearchString(url) {
-  const qi = url.lastIndexOf('?');
+  // a question mark can appear unencoded in the query string itself
+  const qi = url.search(/[?#]/);
   if (qi !== -1) {
     url = url.substr(0, qi);
   }
@@ -2146,7 +4319,8 @@ function omitSearchString(url) {
  * @return {Boolean}
  */
 function matchURL(url, otherURL) {
-  url = omitSearchString(url);
+  url = omitSearchString(canonicalizeURL(url));
+  otherURL = canonicalizeURL(otherURL);
   if (otherURL === url) {
     return true;
   } else if (url.substr(0, otherURL.length) === otherURL) {
@@ -2259,7 +4433,9 @@ function excludeObjects(list, objects) {
  * @return {*}
  */
 function cloneObject(src) {
-  if (src instanceof Array) {
+  if (isFile(src)) {
+    return src;
+  } else if (src instanceof Array) {
     return src.map(obj => cloneObject(obj));
   } else if (src instanceof Object) {
     const dst = {};
@@ -2371,7 +4547,7 @@ function joinObjectLists(newList, oldList) {
   // don't add objects ahead of the intersection from the old list or
   // objects that are present in the new list (due to change in order)
   const oldObjects = [];
-  for (let [ index, object ] of oldList) {
+  for (let [ index, object ] of oldList.entries()) {
     if (index >= startIndex) {
       if (findObjectIndex(newList, object) === -1) {
         oldObjects.push(object);
@@ -2430,6 +4606,26 @@ function segregateResults(folderURL, objects, outcome) {
   return ops;
 }
 
+/**
+ * Return the total number of objects reported by the server. When there's no
+ * count (e.g. cursor pagination), the total can only be determined on the last
+ * page and only when the number of objects in front of it is known.
+ *
+ * @param  {Object|Array<Object>} response
+ * @param  {Number|undefined} offset
+ *
+ * @return {Number|undefined}
+ */
+function getTotal(response, offset) {
+  if (response instanceof Array) {
+    return response.length;
+  } else if (typeof(response.count) === 'number') {
+    return response.count;
+  } else if (!response.next && offset !== undefined) {
+    return offset + response.results.length;
+  }
+}
+
 /**
  * Get parameter 'minimum' from options. If it's a percent, then calculate the
  * minimum object count based on total. If it's negative, substract the value
@@ -2459,6 +4655,870 @@ function getMinimum(options, total, def) {
   return minimum || def;
 }
 
+/**
+ * Prefix of temporary ids given to objects inserted optimistically
+ *
+ * @type {String}
+ */
+const placeholderIDPrefix = 'temp-';
+
+/**
+ * Return true if an object is a placeholder added by an optimistic insert
+ *
+ * @param  {Object} object
+ *
+ * @return {Boolean}
+ */
+function isPlaceholder(object) {
+  const { id } = object;
+  return (typeof(id) === 'string' && id.indexOf(placeholderIDPrefix) === 0);
+}
+
+/**
+ * Properties of a query that are saved to storage
+ *
+ * @type {Array<String>}
+ */
+const savedQueryProperties = [
+  'type', 'url', 'page', 'offset', 'limit', 'options', 'time',
+  'object', 'objects', 'total', 'nextURL', 'nextPage', 'pageURL',
+];
+
+/**
+ * Properties of authorizations that are saved to storage
+ *
+ * @type {Array<String>}
+ */
+const savedAuthorizationProperties = [
+  'token', 'allow', 'deny', 'refreshToken', 'scopes', 'expiration', 'lifetime',
+];
+
+/**
+ * Return an entry for saving a query to storage. Queries that have not
+ * finished and those with hook functions are not saved.
+ *
+ * @param  {Object} query
+ *
+ * @return {Object|undefined}
+ */
+function saveQuery(query) {
+  if (!query.object && !query.objects) {
+    return;
+  }
+  if (query.type === 'blob') {
+    // blobs cannot be serialized as JSON
+    return;
+  }
+  if (query.object && isPlaceholder(query.object)) {
+    // placeholders of optimistic inserts would never be replaced
+    return;
+  }
+  if (containsFunction(query.options)) {
+    return;
+  }
+  const entry = {};
+  for (let name of savedQueryProperties) {
+    if (query[name] !== undefined) {
+      entry[name] = query[name];
+    }
+  }
+  if (query.objects) {
+    entry.objects = query.objects.filter(object => !isPlaceholder(object));
+    entry.total = query.objects.total;
+    if (entry.total !== undefined) {
+      entry.total -= query.objects.length - entry.objects.length;
+    }
+  }
+  return entry;
+}
+
+/**
+ * Return the properties used to find a query
+ *
+ * @param  {Object} query
+ *
+ * @return {Object}
+ */
+function getQueryProps(query) {
+  const props = {
+    type: query.type,
+    url: query.url,
+    options: query.options,
+  };
+  if (query.type === 'page') {
+    props.page = query.page;
+  } else if (query.type === 'range') {
+    props.offset = query.offset;
+    props.limit = query.limit;
+  }
+  return props;
+}
+
+/**
+ * Return the object holding the ETag and Last-Modified date received from
+ * the server for a URL used by a query, creating it if necessary
+ *
+ * @param  {Object} query
+ * @param  {String} url
+ *
+ * @return {Object}
+ */
+function getValidators(query, url) {
+  if (!query.validators) {
+    query.validators = {};
+  }
+  if (!query.validators[url]) {
+    query.validators[url] = {};
+  }
+  return query.validators[url];
+}
+
+/**
+ * Return the number of objects held by a query
+ *
+ * @param  {Object} query
+ *
+ * @return {Number}
+ */
+function countObjects(query) {
+  if (query.objects) {
+    return query.objects.length;
+  } else if (query.object) {
+    return 1;
+  } else {
+    return 0;
+  }
+}
+
+/**
+ * Return true if a query is waiting for a response from the server
+ *
+ * @param  {Object} query
+ *
+ * @return {Boolean}
+ */
+function isPending(query) {
+  if (!query.object && !query.objects) {
+    return true;
+  }
+  return !!(query.refreshing || query.nextPromise);
+}
+
+/**
+ * Return true if an object contains a function
+ *
+ * @param  {*} object
+ *
+ * @return {Boolean}
+ */
+function containsFunction(object) {
+  if (object instanceof Function) {
+    return true;
+  } else if (object instanceof Object) {
+    for (let name in object) {
+      if (containsFunction(object[name])) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Names of options that control a request rather than define a query
+ *
+ * @type {Array<String>}
+ */
+const requestOptionNames = [ 'signal', 'timeout', 'onUploadProgress', 'validators' ];
+
+/**
+ * Return options that define a query, leaving out those that only affect
+ * the request
+ *
+ * @param  {Object|undefined} options
+ *
+ * @return {Object}
+ */
+function getQueryOptions(options) {
+  const queryOptions = {};
+  for (let name in options) {
+    if (requestOptionNames.indexOf(name) === -1) {
+      queryOptions[name] = options[name];
+    }
+  }
+  return queryOptions;
+}
+
+/**
+ * Return options that affect a request
+ *
+ * @param  {Object|undefined} options
+ *
+ * @return {Object}
+ */
+function getRequestOptions(options) {
+  const requestOptions = {};
+  for (let name of requestOptionNames) {
+    if (options && options[name] !== undefined) {
+      requestOptions[name] = options[name];
+    }
+  }
+  return requestOptions;
+}
+
+/**
+ * Find the parser for a content type, matching wildcards like "image/*"
+ *
+ * @param  {Object} parsers
+ * @param  {String|null} contentType
+ *
+ * @return {Function|undefined}
+ */
+function findResponseParser(parsers, contentType) {
+  if (!parsers || !contentType) {
+    return;
+  }
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  const generalType = mimeType.split('/')[0] + '/*';
+  return parsers[mimeType] || parsers[generalType] || parsers['*/*'];
+}
+
+/**
+ * Return the body of a POST, PUT, or PATCH request, along with the headers
+ * appropriate for it. Objects containing files are sent as multipart form
+ * data, as JSON cannot hold binary data.
+ *
+ * @param  {Object} object
+ *
+ * @return {Object}
+ */
+function getBodyOptions(object) {
+  if (containsFiles(object)) {
+    // the browser will set the content type, along with the boundary
+    return { body: createFormData(object) };
+  } else {
+    return {
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+      },
+      body: JSON.stringify(object),
+    };
+  }
+}
+
+/**
+ * Return true if the value is a File or a Blob
+ *
+ * @param  {*} value
+ *
+ * @return {Boolean}
+ */
+function isFile(value) {
+  return (typeof(Blob) === 'function' && value instanceof Blob);
+}
+
+/**
+ * Return true if two files have the same contents. Blobs are read so that
+ * the comparison can be made, hence the promise.
+ *
+ * @param  {Blob|String} resource1
+ * @param  {Blob|String} resource2
+ *
+ * @return {Boolean|Promise<Boolean>}
+ */
+function compareResources(resource1, resource2) {
+  if (!isFile(resource1) || !isFile(resource2)) {
+    return (resource1 === resource2);
+  }
+  if (resource1.size !== resource2.size || resource1.type !== resource2.type) {
+    return false;
+  }
+  const buffers = [ resource1, resource2 ].map((blob) => {
+    return new Response(blob).arrayBuffer();
+  });
+  return Promise.all(buffers).then(([ buffer1, buffer2 ]) => {
+    const bytes1 = new Uint8Array(buffer1);
+    const bytes2 = new Uint8Array(buffer2);
+    for (let i = 0; i < bytes1.length; i++) {
+      if (bytes1[i] !== bytes2[i]) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+/**
+ * Return true if an object contains a File or a Blob somewhere
+ *
+ * @param  {*} value
+ *
+ * @return {Boolean}
+ */
+function containsFiles(value) {
+  if (isFile(value)) {
+    return true;
+  } else if (value instanceof Array) {
+    return value.some(containsFiles);
+  } else if (value instanceof Object) {
+    for (let name in value) {
+      if (containsFiles(value[name])) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Convert an object to form data, naming nested fields in the manner
+ * expected by DRF's parsers (i.e. "field.subfield", "field[0]", and
+ * "field[0]subfield")
+ *
+ * @param  {Object} object
+ *
+ * @return {FormData}
+ */
+function createFormData(object) {
+  const formData = new FormData;
+  const append = (name, value) => {
+    if (value === undefined) {
+      return;
+    } else if (value === null) {
+      // DRF treats empty strings in form data as null
+      formData.append(name, '');
+    } else if (isFile(value)) {
+      formData.append(name, value);
+    } else if (value instanceof Date) {
+      formData.append(name, value.toISOString());
+    } else if (value instanceof Array) {
+      value.forEach((item, index) => {
+        append(`${name}[${index}]`, item);
+      });
+    } else if (value instanceof Object) {
+      // fields of objects in a list aren't separated by a period
+      const separator = (/\]$/.test(name)) ? '' : '.';
+      for (let key in value) {
+        append(name + separator + key, value[key]);
+      }
+    } else {
+      formData.append(name, String(value));
+    }
+  };
+  for (let name in object) {
+    append(name, object[name]);
+  }
+  return formData;
+}
+
+/**
+ * Perform an HTTP request using XMLHttpRequest, so that the progress of the
+ * upload can be monitored. Returns a promise of a Response object, just
+ * like fetch().
+ *
+ * @param  {String} url
+ * @param  {Object} options
+ *
+ * @return {Promise<Response>}
+ */
+function fetchWithProgress(url, options) {
+  const { method, headers, body, credentials, signal, onUploadProgress } = options;
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest;
+    const abort = () => {
+      const err = new Error('The operation was aborted');
+      err.name = 'AbortError';
+      reject(err);
+    };
+    xhr.open(method || 'GET', url);
+    for (let name in headers) {
+      xhr.setRequestHeader(name, headers[name]);
+    }
+    if (credentials === 'include') {
+      xhr.withCredentials = true;
+    }
+    xhr.upload.onprogress = onUploadProgress;
+    xhr.onload = () => {
+      const { status, statusText } = xhr;
+      const responseHeaders = {};
+      for (let line of xhr.getAllResponseHeaders().split(/\r?\n/)) {
+        const index = line.indexOf(':');
+        if (index > 0) {
+          responseHeaders[line.substr(0, index).trim()] = line.substr(index + 1).trim();
+        }
+      }
+      // responses to certain statuses cannot have a body
+      const nullBody = (status === 204 || status === 205 || status === 304);
+      const responseBody = (nullBody) ? null : xhr.responseText;
+      resolve(new Response(responseBody, { status, statusText, headers: responseHeaders }));
+    };
+    xhr.onerror = () => {
+      reject(new TypeError('Failed to fetch'));
+    };
+    xhr.onabort = abort;
+    if (signal) {
+      if (signal.aborted) {
+        abort();
+        return;
+      }
+      signal.addEventListener('abort', () => xhr.abort());
+    }
+    xhr.send(body);
+  });
+}
+
+/**
+ * Create an AbortController that gets aborted when the given signal is
+ * aborted. Return undefined if AbortController isn't available.
+ *
+ * @param  {AbortSignal|undefined} signal
+ *
+ * @return {AbortController|undefined}
+ */
+function createAbortController(signal) {
+  if (typeof(AbortController) !== 'function') {
+    return;
+  }
+  const controller = new AbortController;
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', () => controller.abort());
+    }
+  }
+  return controller;
+}
+
+/**
+ * Return options for a request whose result is shared by every caller of a
+ * query. The request gets a signal of its own, so that one caller canceling
+ * doesn't affect the others.
+ *
+ * @param  {Object} query
+ * @param  {Object|undefined} options
+ *
+ * @return {Object|undefined}
+ */
+function shareRequest(query, options) {
+  if (!options || !options.signal) {
+    return options;
+  }
+  const controller = createAbortController();
+  if (!controller) {
+    return options;
+  }
+  query.abortController = controller;
+  query.abortableCallers = 0;
+  return { ...options, signal: controller.signal };
+}
+
+/**
+ * Return a promise of a query's result for a caller. The promise is rejected
+ * when the caller's signal is aborted. The request itself is aborted only
+ * when every caller waiting for it has done so.
+ *
+ * @param  {Object} query
+ * @param  {Object|undefined} options
+ *
+ * @return {Promise}
+ */
+function waitForQuery(query, options) {
+  const controller = query.abortController;
+  if (!controller) {
+    return query.promise;
+  }
+  const signal = options && options.signal;
+  if (!signal) {
+    // the request must continue for this caller
+    query.abortController = null;
+    return query.promise;
+  }
+  query.abortableCallers++;
+  return new Promise((resolve, reject) => {
+    let aborted = false;
+    const abort = () => {
+      aborted = true;
+      if (--query.abortableCallers === 0 && query.abortController === controller) {
+        // no one else is waiting for the request--cancel it; the promise is
+        // rejected once the query has been removed
+        controller.abort();
+      } else {
+        reject(createAbortError());
+      }
+    };
+    const finish = () => {
+      signal.removeEventListener('abort', abort);
+      if (query.abortController === controller) {
+        query.abortController = null;
+      }
+    };
+    query.promise.then((result) => {
+      finish();
+      if (aborted) {
+        reject(createAbortError());
+      } else {
+        resolve(result);
+      }
+    }, (err) => {
+      finish();
+      reject((aborted) ? createAbortError() : err);
+    });
+    if (signal.aborted) {
+      abort();
+    } else {
+      signal.addEventListener('abort', abort);
+    }
+  });
+}
+
+/**
+ * Create the error thrown when an operation is aborted
+ *
+ * @return {Error}
+ */
+function createAbortError() {
+  const message = 'The operation was aborted';
+  if (typeof(DOMException) === 'function') {
+    return new DOMException(message, 'AbortError');
+  }
+  const err = new Error(message);
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Return true if the browser knows that it's offline
+ *
+ * @return {Boolean}
+ */
+function isOffline() {
+  return (typeof(navigator) === 'object' && navigator.onLine === false);
+}
+
+/**
+ * Return true if an error is due to the server being unreachable
+ *
+ * @param  {Error} err
+ *
+ * @return {Boolean}
+ */
+function isNetworkError(err) {
+  // other errors (e.g. one from parsing the response) mean the request did
+  // reach the server
+  return (err instanceof NetworkError);
+}
+
+/**
+ * Return true if an error is due to a temporary problem on the server
+ *
+ * @param  {Error} err
+ *
+ * @return {Boolean}
+ */
+function isTemporaryError(err) {
+  return (err instanceof DataSourceError && defaultRetryPolicy.statuses.indexOf(err.status) !== -1);
+}
+
+/**
+ * Return true if an error is the result of a request being canceled or
+ * timing out
+ *
+ * @param  {Error} err
+ *
+ * @return {Boolean}
+ */
+function isCancellation(err) {
+  return (err instanceof TimeoutError || (err && err.name === 'AbortError'));
+}
+
+/**
+ * Return the amount of time to wait before trying again, doubling it with
+ * each attempt, with random variation so that clients don't retry in unison
+ *
+ * @param  {Object} policy
+ * @param  {Number} retries
+ *
+ * @return {Number}
+ */
+function getRetryDelay(policy, retries) {
+  const delay = Math.min(policy.maxDelay, policy.delay * Math.pow(2, retries));
+  return (delay / 2) + Math.random() * (delay / 2);
+}
+
+/**
+ * Placeholder token used to indicate that the user has logged in when
+ * session authentication is employed
+ *
+ * @type {String}
+ */
+const sessionToken = 'session';
+
+/**
+ * Time before the expiration of an access token when it should be refreshed
+ *
+ * @type {Number}
+ */
+const tokenRefreshMargin = 30 * 1000;
+
+/**
+ * Return true if the authentication scheme employs short-lived access tokens
+ * sent as bearer tokens, along with refresh tokens
+ *
+ * @param  {String} scheme
+ *
+ * @return {Boolean}
+ */
+function usesBearerTokens(scheme) {
+  return (scheme === 'jwt' || scheme === 'oauth2');
+}
+
+/**
+ * Return the payload of a JSON Web Token
+ *
+ * @param  {String} token
+ *
+ * @return {Object|undefined}
+ */
+function decodeJWT(token) {
+  try {
+    const segment = token.split('.')[1];
+    const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(base64));
+  } catch (err) {
+    // not a JWT (e.g. a token from Django OAuth Toolkit)
+    return undefined;
+  }
+}
+
+/**
+ * Extract the token and related information from the response of an
+ * endpoint that issues tokens
+ *
+ * @param  {String} scheme
+ * @param  {Object|null} response
+ *
+ * @return {Object}
+ */
+function parseTokenResponse(scheme, response) {
+  if (scheme === 'session') {
+    // the server identifies us by the session cookie, which is
+    // inaccessible to scripts
+    return { token: sessionToken };
+  }
+  if (!response) {
+    return {};
+  }
+  switch (scheme) {
+    case 'jwt':
+      return {
+        token: response.access,
+        refreshToken: response.refresh,
+      };
+    case 'oauth2':
+      return {
+        token: response.access_token,
+        refreshToken: response.refresh_token,
+        expiresIn: response.expires_in,
+        scopes: (response.scope) ? response.scope.split(' ') : undefined,
+      };
+    default:
+      return { token: response.key };
+  }
+}
+
+/**
+ * Encode parameters as application/x-www-form-urlencoded, omitting those
+ * that are null or undefined
+ *
+ * @param  {Object} params
+ *
+ * @return {String}
+ */
+function encodeForm(params) {
+  const pairs = [];
+  for (let name in params) {
+    const value = params[name];
+    if (value !== null && value !== undefined) {
+      pairs.push(encodeURIComponent(name) + '=' + encodeURIComponent(value));
+    }
+  }
+  return pairs.join('&');
+}
+
+/**
+ * Set the expiration time of an authorization's access token, using the
+ * lifetime reported by the server or the claims in the token itself. Time is
+ * measured from the moment the token is received, so that differences
+ * between the client's clock and the server's do not matter.
+ *
+ * @param  {Object} authorization
+ * @param  {Number|undefined} expiresIn
+ */
+function setTokenExpiration(authorization, expiresIn) {
+  if (expiresIn) {
+    authorization.lifetime = expiresIn * 1000;
+    authorization.expiration = Date.now() + authorization.lifetime;
+    return;
+  }
+  const payload = decodeJWT(authorization.token);
+  if (payload && payload.exp) {
+    if (payload.iat) {
+      authorization.lifetime = (payload.exp - payload.iat) * 1000;
+      authorization.expiration = Date.now() + authorization.lifetime;
+    } else {
+      authorization.lifetime = undefined;
+      authorization.expiration = payload.exp * 1000;
+    }
+  } else {
+    authorization.lifetime = undefined;
+    authorization.expiration = undefined;
+  }
+}
+
+/**
+ * Return true if an authorization's access token is about to expire
+ *
+ * @param  {Object} authorization
+ *
+ * @return {Boolean}
+ */
+function isExpiring(authorization) {
+  if (!authorization.expiration) {
+    return false;
+  }
+  // don't refresh constantly when tokens are short-lived
+  const lifetime = authorization.lifetime || Infinity;
+  const margin = Math.min(tokenRefreshMargin, lifetime / 2);
+  return (authorization.expiration - Date.now() < margin);
+}
+
+/**
+ * Return true if the HTTP method can modify data on the server (and thus
+ * requires a CSRF token)
+ *
+ * @param  {String|undefined} method
+ *
+ * @return {Boolean}
+ */
+function isUnsafeMethod(method) {
+  const safeMethods = [ 'GET', 'HEAD', 'OPTIONS', 'TRACE' ];
+  return (safeMethods.indexOf(method || 'GET') === -1);
+}
+
+/**
+ * Return the value of a cookie
+ *
+ * @param  {String} cookies
+ * @param  {String} name
+ *
+ * @return {String|undefined}
+ */
+function getCookie(cookies, name) {
+  for (let cookie of cookies.split(/;\s*/)) {
+    const index = cookie.indexOf('=');
+    if (index !== -1 && cookie.substr(0, index) === name) {
+      return decodeURIComponent(cookie.substr(index + 1));
+    }
+  }
+}
+
+/**
+ * Return the body of an error response as text. The promise returned is
+ * fulfilled with null when the body is empty or cannot be read.
+ *
+ * @param  {Response} response
+ *
+ * @return {Promise<String|null>}
+ */
+function readResponseText(response) {
+  return response.text().then((text) => {
+    return text || null;
+  }, (err) => {
+    return null;
+  });
+}
+
+/**
+ * Parse the body of an error response, which is usually JSON, but can be
+ * HTML or plain text when the error didn't come from Django REST Framework
+ *
+ * @param  {String|null} text
+ *
+ * @return {Object|Array|String|null}
+ */
+function parseErrorBody(text) {
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+/**
+ * Return information about a request for attaching to an error
+ *
+ * @param  {String} url
+ * @param  {Object|undefined} options
+ * @param  {Response|undefined} response
+ * @param  {String|null|undefined} rawBody
+ *
+ * @return {Object}
+ */
+function getErrorContext(url, options, response, rawBody) {
+  const method = (options && options.method) || 'GET';
+  let headers = null;
+  if (response && response.headers) {
+    headers = {};
+    response.headers.forEach((value, name) => {
+      headers[name] = value;
+    });
+  }
+  return { url, method, headers, rawBody };
+}
+
+/**
+ * Create an error object of the class corresponding to the status code
+ *
+ * @param  {Number} status
+ * @param  {String} statusText
+ * @param  {Object|Array|String|null} body
+ * @param  {Object} context
+ *
+ * @return {DataSourceError}
+ */
+function createError(status, statusText, body, context) {
+  let errorClass = DataSourceError;
+  if (status === 400) {
+    errorClass = ValidationError;
+  } else if (status === 401) {
+    errorClass = AuthenticationError;
+  } else if (status === 403) {
+    errorClass = PermissionError;
+  } else if (status === 409 || status === 412) {
+    errorClass = ConflictError;
+  } else if (status >= 500) {
+    errorClass = ServerError;
+  }
+  return new errorClass(status, statusText, body, context);
+}
+
+/**
+ * Return true if the server has rejected a request due to a missing or
+ * incorrect CSRF token
+ *
+ * @param  {Object|Array|String|null} body
+ *
+ * @return {Boolean}
+ */
+function isCSRFFailure(body) {
+  const text = (typeof(body) === 'string') ? body : JSON.stringify(body);
+  return /CSRF/.test(text);
+}
+
 /**
  * Return the current time in ISO format, adding a delta optionally
  *
@@ -1,6 +1,8 @@
 export * from './data-source.mjs';
+export * from './data-source-change-feed.mjs';
 export * from './data-source-error.mjs';
 export * from './data-source-event.mjs';
 export * from './data-source-proxy.mjs';
+export * from './data-source-storage.mjs';
 
 export { DataSource as default } from './data-source.mjs';
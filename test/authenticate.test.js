@@ -1,11 +1,12 @@
 import { expect } from 'chai';
 import TestServer from './lib/test-server.js';
-import DataSource from '../src/index.mjs';
+import DataSource, { MemoryStorage, AuthenticationError, PermissionError } from '../src/index.mjs';
 
 const port = 7777;
 const baseURL = `http://localhost:${port}/api`;
 const loginURL = `http://localhost:${port}/login`;
 const logoutURL = `http://localhost:${port}/logout`;
+const csrfURL = `http://localhost:${port}/csrf`;
 
 describe('Authentication:', function() {
   before(function() {
@@ -21,7 +22,9 @@ describe('Authentication:', function() {
       await dataSource.fetchOne(`/tasks/5/`);
       expect.fail();
     } catch (err) {
+      expect(err).to.be.instanceof(AuthenticationError);
       expect(err).to.have.property('status', 401);
+      expect(err).to.have.property('url', `${baseURL}/tasks/5/`);
     }
   })
   it ('should fail when trying to fetch data with bogus authorization token', async function() {
@@ -34,6 +37,7 @@ describe('Authentication:', function() {
       await dataSource.fetchOne(`/tasks/5/`);
       expect.fail();
     } catch (err) {
+      expect(err).to.be.instanceof(PermissionError);
       expect(err).to.have.property('status', 403);
     }
   })
@@ -135,6 +139,379 @@ describe('Authentication:', function() {
       expect(err).to.have.property('status', 401);
     }
   })
+  describe('(persistence)', function() {
+    before(function() {
+      return TestServer.reset({ authentication: true });
+    })
+    const credentials = { username: 'sam', password: 'beer' };
+    const wait = (delay) => new Promise(resolve => setTimeout(resolve, delay));
+
+    it ('should restore authorization saved in an earlier session', async function() {
+      const authorizationStorage = new MemoryStorage;
+      const dataSource1 = new DataSource({ baseURL, authorizationStorage });
+      dataSource1.activate();
+      await dataSource1.authenticate(loginURL, credentials);
+      await wait(10);
+      const dataSource2 = new DataSource({ baseURL, authorizationStorage });
+      dataSource2.activate();
+      let authenticationEvent = null;
+      dataSource2.addEventListener('authentication', (evt) => {
+        authenticationEvent = evt;
+        evt.preventDefault();
+      });
+      const object = await dataSource2.fetchOne('/tasks/5/');
+      expect(object).to.have.property('id', 5);
+      expect(authenticationEvent).to.be.null;
+      expect(dataSource2.isAuthorized()).to.be.true;
+    })
+    it ('should restore denied URLs', async function() {
+      const authorizationStorage = new MemoryStorage;
+      const dataSource1 = new DataSource({ baseURL, authorizationStorage });
+      dataSource1.activate();
+      await dataSource1.authenticate(loginURL, credentials);
+      dataSource1.cancelAuthorization([ '/tasks/' ]);
+      await wait(10);
+      const dataSource2 = new DataSource({ baseURL, authorizationStorage });
+      dataSource2.activate();
+      await wait(10);
+      expect(dataSource2.isAuthorized('/')).to.be.true;
+      expect(dataSource2.isAuthorized('/tasks/')).to.be.false;
+    })
+    it ('should remove token from storage when it is rejected', async function() {
+      const authorizationStorage = new MemoryStorage;
+      const dataSource1 = new DataSource({ baseURL, authorizationStorage });
+      dataSource1.activate();
+      await dataSource1.authenticate(loginURL, credentials);
+      await wait(10);
+      // log in again elsewhere, causing the saved token to become invalid
+      const dataSource2 = new DataSource({ baseURL });
+      dataSource2.activate();
+      await dataSource2.authenticate(loginURL, credentials);
+      const dataSource3 = new DataSource({ baseURL, authorizationStorage });
+      dataSource3.activate();
+      dataSource3.addEventListener('authentication', (evt) => {
+        evt.preventDefault();
+      });
+      try {
+        await dataSource3.fetchOne('/tasks/6/');
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 403);
+      }
+      await wait(10);
+      const entries = await authorizationStorage.load('authorizations');
+      expect(entries).to.be.undefined;
+    })
+    it ('should remove token from storage when authorization is revoked', async function() {
+      const authorizationStorage = new MemoryStorage;
+      const dataSource = new DataSource({ baseURL, authorizationStorage });
+      dataSource.activate();
+      await dataSource.authenticate(loginURL, credentials);
+      await wait(10);
+      const entries = await authorizationStorage.load('authorizations');
+      expect(entries).to.have.length(1);
+      await dataSource.revokeAuthorization(logoutURL);
+      await wait(10);
+      const entriesAfter = await authorizationStorage.load('authorizations');
+      expect(entriesAfter).to.be.undefined;
+    })
+  })
+  describe('(session)', function() {
+    before(function() {
+      return TestServer.reset({ authentication: 'session' });
+    })
+    const authenticationScheme = 'session';
+
+    it ('should fail with status code 403 when authentication is declined', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme, csrfURL });
+      dataSource.activate();
+      let authURL;
+      dataSource.addEventListener('authentication', (evt) => {
+        authURL = evt.url;
+        evt.preventDefault();
+      });
+      try {
+        await dataSource.fetchOne(`/tasks/5/`);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 403);
+      }
+      expect(authURL).to.equal(`${baseURL}/tasks/5/`);
+    })
+    it ('should log in and obtain a CSRF token when none is present', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme, csrfURL });
+      dataSource.activate();
+      dataSource.addEventListener('authentication', (evt) => {
+        const credentials = { username: 'sam', password: 'beer' };
+        dataSource.authenticate(loginURL, credentials);
+      });
+      const object = await dataSource.fetchOne(`/tasks/5/`);
+      expect(object).to.have.property('id', 5);
+      expect(dataSource.isAuthorized()).to.be.true;
+      expect(document.cookie).to.match(/csrftoken=\w+/);
+    })
+    it ('should send CSRF token when modifying data', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme, csrfURL });
+      dataSource.activate();
+      await dataSource.authenticate(loginURL, { username: 'sam', password: 'beer' });
+      const object = await dataSource.fetchOne(`/tasks/5/`);
+      const changedObject = { ...object, category: 'religion' };
+      const updatedObject = await dataSource.updateOne('/tasks/', changedObject);
+      expect(updatedObject).to.have.property('category', 'religion');
+    })
+    it ('should retry after refreshing an outdated CSRF token', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme, csrfURL });
+      dataSource.activate();
+      await dataSource.authenticate(loginURL, { username: 'sam', password: 'beer' });
+      document.cookie = 'csrftoken=outdated';
+      const object = await dataSource.fetchOne(`/tasks/6/`);
+      const changedObject = { ...object, category: 'religion' };
+      const updatedObject = await dataSource.updateOne('/tasks/', changedObject);
+      expect(updatedObject).to.have.property('category', 'religion');
+      expect(document.cookie).to.not.contain('outdated');
+    })
+    it ('should fail when refreshing does not yield a new CSRF token', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme, csrfURL: '/tasks/' });
+      dataSource.activate();
+      await dataSource.authenticate(loginURL, { username: 'sam', password: 'beer' });
+      document.cookie = 'csrftoken=outdated';
+      const object = await dataSource.fetchOne(`/tasks/7/`);
+      try {
+        await dataSource.updateOne('/tasks/', { ...object, category: 'religion' });
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 403);
+      }
+      // the user should still be considered to be logged in
+      expect(dataSource.isAuthorized()).to.be.true;
+    })
+    it ('should log out through revokeAuthorization()', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme, csrfURL });
+      dataSource.activate();
+      await dataSource.authenticate(loginURL, { username: 'sam', password: 'beer' });
+      await dataSource.revokeAuthorization(logoutURL);
+      expect(dataSource.isAuthorized()).to.be.false;
+      dataSource.addEventListener('authentication', (evt) => {
+        evt.preventDefault();
+      });
+      try {
+        await dataSource.fetchOne(`/tasks/8/`);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 403);
+      }
+    })
+  })
+  describe('(JWT)', function() {
+    before(function() {
+      return TestServer.reset({ authentication: 'jwt' });
+    })
+    const authenticationScheme = 'jwt';
+    const tokenURL = `${baseURL}/token/`;
+    const refreshURL = `${baseURL}/token/refresh/`;
+    const blacklistURL = `${baseURL}/token/blacklist/`;
+    const credentials = { username: 'sam', password: 'beer' };
+    const createFetchFunc = () => {
+      const fetchFunc = (url, options) => {
+        if (url === refreshURL) {
+          fetchFunc.refreshCount++;
+        }
+        return fetch(url, options).then((response) => {
+          if (response.status === 401) {
+            fetchFunc.rejectionCount++;
+          }
+          return response;
+        });
+      };
+      fetchFunc.refreshCount = 0;
+      fetchFunc.rejectionCount = 0;
+      return fetchFunc;
+    };
+
+    it ('should obtain access and refresh tokens', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme });
+      dataSource.activate();
+      let authEvent;
+      dataSource.addEventListener('authorization', (evt) => {
+        authEvent = evt;
+      });
+      await dataSource.authenticate(tokenURL, credentials);
+      expect(authEvent).to.have.property('token').that.is.a('string');
+      expect(authEvent).to.have.property('refreshToken').that.is.a('string');
+      const object = await dataSource.fetchOne('/tasks/5/');
+      expect(object).to.have.property('id', 5);
+    })
+    it ('should refresh access token without authentication event after a 401', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme });
+      dataSource.activate();
+      await dataSource.authenticate(tokenURL, credentials);
+      const tokenBefore = dataSource.getToken(`${baseURL}/tasks/6/`);
+      let authenticationEvent = null;
+      dataSource.addEventListener('authentication', (evt) => {
+        authenticationEvent = evt;
+        evt.preventDefault();
+      });
+      let authorizationEvent = null;
+      dataSource.addEventListener('authorization', (evt) => {
+        authorizationEvent = evt;
+      });
+      await TestServer.expireAccessTokens();
+      const object = await dataSource.fetchOne('/tasks/6/');
+      expect(object).to.have.property('id', 6);
+      expect(authenticationEvent).to.be.null;
+      expect(authorizationEvent).to.have.property('token').that.does.not.equal(tokenBefore);
+      expect(dataSource.getToken(`${baseURL}/tasks/6/`)).to.equal(authorizationEvent.token);
+    })
+    it ('should share a single refresh call among concurrent requests', async function() {
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, authenticationScheme, fetchFunc });
+      dataSource.activate();
+      await dataSource.authenticate(tokenURL, credentials);
+      await TestServer.expireAccessTokens();
+      const objects = await dataSource.fetchMultiple([ '/tasks/7/', '/tasks/8/', '/tasks/9/' ]);
+      expect(objects).to.have.length(3);
+      expect(fetchFunc.rejectionCount).to.equal(3);
+      expect(fetchFunc.refreshCount).to.equal(1);
+    })
+    it ('should fail when refresh token is no longer valid', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme });
+      dataSource.activate();
+      await dataSource.authenticate(tokenURL, credentials);
+      // log in elsewhere, replacing the refresh token
+      const otherDataSource = new DataSource({ baseURL, authenticationScheme });
+      otherDataSource.activate();
+      await otherDataSource.authenticate(tokenURL, credentials);
+      await TestServer.expireAccessTokens();
+      let authenticationEvent = null;
+      dataSource.addEventListener('authentication', (evt) => {
+        authenticationEvent = evt;
+        evt.preventDefault();
+      });
+      try {
+        await dataSource.fetchOne('/tasks/10/');
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 401);
+      }
+      expect(authenticationEvent).to.not.be.null;
+      expect(dataSource.isAuthorized()).to.be.false;
+    })
+    it ('should send refresh token when authorization is revoked', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme });
+      dataSource.activate();
+      await dataSource.authenticate(tokenURL, credentials);
+      await dataSource.revokeAuthorization(blacklistURL);
+      expect(dataSource.isAuthorized()).to.be.false;
+    })
+    describe('(short-lived tokens)', function() {
+      before(function() {
+        return TestServer.reset({ authentication: 'jwt', tokenLifetime: 1 });
+      })
+      it ('should refresh access token before it expires', async function() {
+        const fetchFunc = createFetchFunc();
+        const dataSource = new DataSource({ baseURL, authenticationScheme, fetchFunc });
+        dataSource.activate();
+        await dataSource.authenticate(tokenURL, credentials);
+        let authorizationEvent = null;
+        dataSource.addEventListener('authorization', (evt) => {
+          authorizationEvent = evt;
+        });
+        await new Promise(resolve => setTimeout(resolve, 600));
+        const object = await dataSource.fetchOne('/tasks/11/');
+        expect(object).to.have.property('id', 11);
+        expect(fetchFunc.refreshCount).to.equal(1);
+        expect(fetchFunc.rejectionCount).to.equal(0);
+        // refreshing the token doesn't count as logging in
+        expect(authorizationEvent).to.have.property('fresh', false);
+      })
+    })
+  })
+  describe('(OAuth2)', function() {
+    before(function() {
+      return TestServer.reset({ authentication: 'oauth2' });
+    })
+    const authenticationScheme = 'oauth2';
+    const tokenURL = `http://localhost:${port}/o/token/`;
+    const revocationURL = `http://localhost:${port}/o/revoke_token/`;
+    const oauthClientID = 'test-client';
+    const credentials = { username: 'sam', password: 'beer' };
+
+    it ('should obtain access token through password grant', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme, oauthClientID, oauthScope: 'read' });
+      dataSource.activate();
+      let authEvent;
+      dataSource.addEventListener('authorization', (evt) => {
+        authEvent = evt;
+      });
+      await dataSource.authenticate(tokenURL, credentials);
+      expect(authEvent).to.have.property('token').that.is.a('string');
+      expect(authEvent).to.have.property('refreshToken').that.is.a('string');
+      expect(authEvent).to.have.property('scopes').that.eql([ 'read' ]);
+      expect(dataSource.authorizations[0]).to.have.property('scopes').that.eql([ 'read' ]);
+      const object = await dataSource.fetchOne('/tasks/5/');
+      expect(object).to.have.property('id', 5);
+    })
+    it ('should fail when client ID is missing', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme });
+      dataSource.activate();
+      try {
+        await dataSource.authenticate(tokenURL, credentials);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 401);
+      }
+    })
+    it ('should fail when password is incorrect', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme, oauthClientID });
+      dataSource.activate();
+      try {
+        await dataSource.authenticate(tokenURL, { username: 'sam', password: 'incorrect' });
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 400);
+      }
+    })
+    it ('should obtain new access token through refresh grant', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme, oauthClientID, tokenRefreshURL: tokenURL });
+      dataSource.activate();
+      await dataSource.authenticate(tokenURL, credentials);
+      let authenticationEvent = null;
+      dataSource.addEventListener('authentication', (evt) => {
+        authenticationEvent = evt;
+        evt.preventDefault();
+      });
+      let authorizationEvent = null;
+      dataSource.addEventListener('authorization', (evt) => {
+        authorizationEvent = evt;
+      });
+      await TestServer.expireAccessTokens();
+      const object = await dataSource.fetchOne('/tasks/6/');
+      expect(object).to.have.property('id', 6);
+      expect(authenticationEvent).to.be.null;
+      expect(authorizationEvent).to.have.property('fresh', false);
+      expect(authorizationEvent).to.have.property('scopes').that.eql([ 'read', 'write' ]);
+    })
+    it ('should revoke tokens through revokeAuthorization()', async function() {
+      const dataSource = new DataSource({ baseURL, authenticationScheme, oauthClientID, tokenRefreshURL: tokenURL });
+      dataSource.activate();
+      await dataSource.authenticate(tokenURL, credentials);
+      const authorization = dataSource.authorizations[0];
+      const { token } = authorization;
+      await dataSource.revokeAuthorization(revocationURL);
+      expect(dataSource.isAuthorized()).to.be.false;
+      // both tokens should no longer work
+      const response = await fetch(`${baseURL}/tasks/7/`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      expect(response).to.have.property('status', 401);
+      const refreshResponse = await fetch(tokenURL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `grant_type=refresh_token&client_id=${oauthClientID}&refresh_token=${authorization.refreshToken}`,
+      });
+      expect(refreshResponse).to.have.property('status', 400);
+    })
+  })
   after(function() {
     return TestServer.stop();
   })
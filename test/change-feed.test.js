@@ -0,0 +1,244 @@
+import { expect } from 'chai';
+import TestServer from './lib/test-server.js';
+import DataSource, { WebSocketChangeFeed, EventSourceChangeFeed } from '../src/index.mjs';
+
+const port = 7777;
+const baseURL = `http://localhost:${port}/api`;
+
+describe('Change feed:', function() {
+  before(function() {
+    return TestServer.start(port);
+  })
+
+  // wait until a condition is met, checking it periodically
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100; i++) {
+      if (await condition()) {
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timeout');
+  };
+  const waitForSubscription = async () => {
+    const folderURL = `${baseURL}/tasks/`;
+    await waitFor(async () => {
+      const subscriptions = await TestServer.getSubscriptions();
+      return subscriptions.some(folders => folders.indexOf(folderURL) !== -1);
+    });
+  };
+
+  describe('(WebSocket)', function() {
+    let dataSource;
+
+    beforeEach(function() {
+      return TestServer.reset();
+    })
+    afterEach(function() {
+      if (dataSource) {
+        dataSource.deactivate();
+        dataSource = null;
+      }
+    })
+    it ('should subscribe to folders with cached queries', async function() {
+      const changeFeed = new WebSocketChangeFeed('/changes/');
+      dataSource = new DataSource({ baseURL, changeFeed });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/5/');
+      await waitForSubscription();
+      const subscriptions = await TestServer.getSubscriptions();
+      expect(subscriptions).to.deep.equal([ [ `${baseURL}/tasks/` ] ]);
+    })
+    it ('should unsubscribe when queries are removed', async function() {
+      const changeFeed = new WebSocketChangeFeed('/changes/');
+      dataSource = new DataSource({ baseURL, changeFeed });
+      dataSource.activate();
+      const object = await dataSource.fetchOne('/tasks/5/');
+      await waitForSubscription();
+      await dataSource.deleteOne('/tasks/', object);
+      await waitFor(async () => {
+        const subscriptions = await TestServer.getSubscriptions();
+        return (subscriptions.length === 1 && subscriptions[0].length === 0);
+      });
+    })
+    it ('should ignore messages arriving after disconnection', async function() {
+      const changeFeed = new WebSocketChangeFeed('/changes/');
+      dataSource = new DataSource({ baseURL, changeFeed });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/5/');
+      await waitForSubscription();
+      const socket = changeFeed.socket;
+      dataSource.deactivate();
+      dataSource = null;
+      expect(socket.onmessage).to.not.be.a('function');
+      expect(socket.onopen).to.not.be.a('function');
+    })
+    it ('should update a cached object when the server reports a change', async function() {
+      const changeFeed = new WebSocketChangeFeed('/changes/');
+      dataSource = new DataSource({ baseURL, changeFeed });
+      dataSource.activate();
+      let changeEvent = null;
+      dataSource.addEventListener('change', (evt) => {
+        changeEvent = evt;
+      });
+      await dataSource.fetchList('/tasks/');
+      await waitForSubscription();
+      await TestServer.update(5, { category: 'changed' });
+      await waitFor(() => changeEvent);
+      // list is refreshed by default
+      await waitFor(async () => {
+        const objects = await dataSource.fetchList('/tasks/');
+        const object = objects.find(o => o.id === 5);
+        return (object.category === 'changed');
+      });
+    })
+    it ('should add a new object to a cached list', async function() {
+      const changeFeed = new WebSocketChangeFeed('/changes/');
+      dataSource = new DataSource({ baseURL, changeFeed });
+      dataSource.activate();
+      let changeEvent = null;
+      dataSource.addEventListener('change', (evt) => {
+        changeEvent = evt;
+      });
+      await dataSource.fetchList('/tasks/');
+      await waitForSubscription();
+      const object = await TestServer.insert({ category: 'new' });
+      await waitFor(() => changeEvent);
+      // list is refreshed by default
+      await waitFor(async () => {
+        const objects = await dataSource.fetchList('/tasks/');
+        return objects.some(o => o.id === object.id);
+      });
+    })
+    it ('should remove a deleted object from a cached list', async function() {
+      const changeFeed = new WebSocketChangeFeed('/changes/');
+      dataSource = new DataSource({ baseURL, changeFeed });
+      dataSource.activate();
+      let changeEvent = null;
+      dataSource.addEventListener('change', (evt) => {
+        changeEvent = evt;
+      });
+      const objects1 = await dataSource.fetchList('/tasks/');
+      await waitForSubscription();
+      await TestServer.remove(5);
+      await waitFor(() => changeEvent);
+      const objects2 = await dataSource.fetchList('/tasks/');
+      expect(objects2).to.have.lengthOf(objects1.length - 1);
+      expect(objects2.find(o => o.id === 5)).to.be.undefined;
+    })
+    it ('should invalidate queries after reconnecting', async function() {
+      const changeFeed = new WebSocketChangeFeed('/changes/', { retryDelay: 20 });
+      dataSource = new DataSource({ baseURL, changeFeed });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/5/');
+      await waitForSubscription();
+      await TestServer.disconnectSockets();
+      await waitFor(() => !dataSource.isCached('/tasks/5/', true));
+      await waitForSubscription();
+    })
+  })
+  describe('(EventSource)', function() {
+    let dataSource;
+
+    beforeEach(function() {
+      return TestServer.reset();
+    })
+    afterEach(function() {
+      if (dataSource) {
+        dataSource.deactivate();
+        dataSource = null;
+      }
+    })
+    const waitForConnection = async (changeFeed) => {
+      await waitFor(() => changeFeed.eventSource && changeFeed.eventSource.readyState === 1);
+    };
+    it ('should update a cached object when the server reports a change', async function() {
+      const changeFeed = new EventSourceChangeFeed('/events/');
+      dataSource = new DataSource({ baseURL, changeFeed });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/5/');
+      await waitForConnection(changeFeed);
+      await TestServer.update(5, { category: 'changed' });
+      await waitFor(async () => {
+        const object = await dataSource.fetchOne('/tasks/5/');
+        return (object.category === 'changed');
+      });
+      expect(changeFeed).to.have.property('lastEventID', 1);
+    })
+    it ('should remove a deleted object from a cached list', async function() {
+      const changeFeed = new EventSourceChangeFeed('/events/');
+      dataSource = new DataSource({ baseURL, changeFeed });
+      dataSource.activate();
+      const objects1 = await dataSource.fetchList('/tasks/');
+      await waitForConnection(changeFeed);
+      await TestServer.remove(5);
+      await waitFor(async () => {
+        const objects2 = await dataSource.fetchList('/tasks/');
+        return (objects2.length === objects1.length - 1);
+      });
+    })
+    it ('should receive events sent while it was disconnected', async function() {
+      const changeFeed = new EventSourceChangeFeed('/events/');
+      dataSource = new DataSource({ baseURL, changeFeed });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/5/');
+      await dataSource.fetchOne('/tasks/6/');
+      await waitForConnection(changeFeed);
+      await TestServer.update(6, { category: 'first' });
+      await waitFor(() => changeFeed.lastEventID === 1);
+      await TestServer.disconnectSockets();
+      await TestServer.update(5, { category: 'second' });
+      await waitFor(() => changeFeed.lastEventID === 2);
+      const object = await dataSource.fetchOne('/tasks/5/');
+      expect(object).to.have.property('category', 'second');
+      // nothing was missed
+      expect(dataSource.isCached('/tasks/6/', true)).to.be.true;
+    })
+    it ('should invalidate queries when events were lost', async function() {
+      const changeFeed = new EventSourceChangeFeed('/events/');
+      dataSource = new DataSource({ baseURL, changeFeed });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/5/');
+      await dataSource.fetchOne('/tasks/6/');
+      await waitForConnection(changeFeed);
+      await TestServer.update(5, { category: 'first' });
+      await waitFor(() => changeFeed.lastEventID === 1);
+      expect(dataSource.isCached('/tasks/6/', true)).to.be.true;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      await dataSource.fetchOne('/tasks/7/');
+      await TestServer.dropEvents(2);
+      await TestServer.update(5, { category: 'second' });
+      await waitFor(() => changeFeed.lastEventID === 4);
+      expect(dataSource.isCached('/tasks/6/', true)).to.be.false;
+      // query performed after the last event received is kept
+      expect(dataSource.isCached('/tasks/7/', true)).to.be.true;
+    })
+  })
+  describe('#applyChange()', function() {
+    beforeEach(function() {
+      return TestServer.reset();
+    })
+    it ('should invalidate queries when the action is not known', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/5/');
+      await dataSource.fetchOne('/tasks/6/');
+      const changed = dataSource.applyChange({ action: 'invalidate', url: '/tasks/5/' });
+      expect(changed).to.be.true;
+      expect(dataSource.isCached('/tasks/5/', true)).to.be.false;
+      expect(dataSource.isCached('/tasks/6/', true)).to.be.true;
+    })
+    it ('should invalidate everything when no URL is given', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/5/');
+      await dataSource.fetchOne('/tasks/6/');
+      dataSource.applyChange({ action: 'invalidate' });
+      expect(dataSource.isCached('/tasks/5/', true)).to.be.false;
+      expect(dataSource.isCached('/tasks/6/', true)).to.be.false;
+    })
+  })
+  after(function() {
+    return TestServer.stop();
+  })
+})
@@ -0,0 +1,158 @@
+import { expect } from 'chai';
+import TestServer from './lib/test-server.js';
+import DataSource, { ConflictError } from '../src/index.mjs';
+
+const port = 7777;
+const baseURL = `http://localhost:${port}/api`;
+
+describe('Conditional requests:', function() {
+  before(function() {
+    return TestServer.start(port, { pagination: true });
+  })
+
+  // a fetch function that keeps track of the requests made and the responses received
+  const createFetchFunc = () => {
+    const fetchFunc = (url, options) => {
+      const promise = fetch(url, options).then((response) => {
+        fetchFunc.requests.push({ url, headers: { ...options.headers }, status: response.status });
+        return response;
+      });
+      fetchFunc.lastPromise = promise;
+      return promise;
+    };
+    fetchFunc.requests = [];
+    return fetchFunc;
+  };
+  const waitForRefresh = async (fetchFunc) => {
+    await fetchFunc.lastPromise;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  };
+
+  describe('(refresh)', function() {
+    beforeEach(function() {
+      return TestServer.reset({ pagination: true });
+    })
+    it ('should send If-None-Match when refreshing an object', async function() {
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      let changeEvent = null;
+      dataSource.addEventListener('change', (evt) => {
+        changeEvent = evt;
+      });
+      const object1 = await dataSource.fetchOne('/tasks/5/');
+      dataSource.invalidate();
+      changeEvent = null;
+      const object2 = await dataSource.fetchOne('/tasks/5/');
+      await waitForRefresh(fetchFunc);
+      const [ request1, request2 ] = fetchFunc.requests;
+      expect(request1.headers).to.not.have.property('If-None-Match');
+      expect(request2.headers).to.have.property('If-None-Match').that.is.a('string');
+      expect(request2).to.have.property('status', 304);
+      expect(changeEvent).to.be.null;
+      expect(dataSource.isCached('/tasks/5/', true)).to.be.true;
+      expect(object2).to.equal(object1);
+    })
+    it ('should receive the object again when it has changed', async function() {
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/5/');
+      await TestServer.update(5, { title: 'Drink coffee' });
+      dataSource.invalidate();
+      await dataSource.fetchOne('/tasks/5/');
+      await dataSource.waitForEvent('change', 100);
+      const object = await dataSource.fetchOne('/tasks/5/');
+      expect(object).to.have.property('title', 'Drink coffee');
+      expect(fetchFunc.requests[1]).to.have.property('status', 200);
+    })
+    it ('should send If-None-Match when refreshing a page', async function() {
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      const objects1 = await dataSource.fetchPage('/tasks/', 2);
+      dataSource.invalidate();
+      await dataSource.fetchPage('/tasks/', 2);
+      await waitForRefresh(fetchFunc);
+      expect(fetchFunc.requests[1]).to.have.property('status', 304);
+      const objects2 = await dataSource.fetchPage('/tasks/', 2);
+      expect(objects2).to.equal(objects1);
+      expect(fetchFunc.requests).to.have.length(2);
+    })
+    it ('should use pages received earlier when refreshing a paginated list', async function() {
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      const objects1 = await dataSource.fetchList('/tasks/');
+      await objects1.more();
+      await TestServer.update(15, { title: 'Drink coffee' });
+      dataSource.invalidate();
+      await dataSource.fetchList('/tasks/');
+      await dataSource.waitForEvent('change', 100);
+      await waitForRefresh(fetchFunc);
+      const statuses = fetchFunc.requests.map(r => r.status);
+      expect(statuses).to.eql([ 200, 200, 304, 200 ]);
+      const objects2 = await dataSource.fetchList('/tasks/');
+      expect(objects2).to.have.length(20);
+      expect(objects2[14]).to.have.property('title', 'Drink coffee');
+      expect(objects2[0]).to.equal(objects1[0]);
+    })
+  })
+  describe('(writes)', function() {
+    beforeEach(function() {
+      return TestServer.reset({ pagination: true });
+    })
+    it ('should send If-Match when updating an object', async function() {
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      const object = await dataSource.fetchOne('/tasks/5/');
+      const updatedObject = await dataSource.updateOne('/tasks/', { ...object, title: 'Drink tea' });
+      expect(updatedObject).to.have.property('title', 'Drink tea');
+      expect(fetchFunc.requests[1].headers).to.have.property('If-Match').that.is.a('string');
+
+      // ETag should have been updated
+      const updatedObject2 = await dataSource.updateOne('/tasks/', { ...updatedObject, title: 'Drink more tea' });
+      expect(updatedObject2).to.have.property('title', 'Drink more tea');
+    })
+    it ('should fail with a ConflictError when object has been changed by someone else', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const object = await dataSource.fetchOne('/tasks/5/');
+      await TestServer.update(5, { title: 'Drink coffee' });
+      const changePromise = dataSource.waitForEvent('change', 100);
+      try {
+        await dataSource.updateOne('/tasks/', { ...object, title: 'Drink tea' });
+        expect.fail();
+      } catch (err) {
+        expect(err).to.be.instanceof(ConflictError);
+        expect(err).to.have.property('status', 412);
+        expect(err).to.have.property('object').that.has.property('title', 'Drink tea');
+        expect(err).to.have.property('currentObject').that.has.property('title', 'Drink coffee');
+      }
+      await changePromise;
+      const cachedObject = await dataSource.fetchOne('/tasks/5/');
+      expect(cachedObject).to.have.property('title', 'Drink coffee');
+
+      // should succeed when tried again
+      const updatedObject = await dataSource.updateOne('/tasks/', { ...cachedObject, title: 'Drink tea' });
+      expect(updatedObject).to.have.property('title', 'Drink tea');
+    })
+    it ('should send If-Match when deleting an object', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const object = await dataSource.fetchOne('/tasks/6/');
+      await TestServer.update(6, { title: 'Drink coffee' });
+      try {
+        await dataSource.deleteOne('/tasks/', object);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.be.instanceof(ConflictError);
+        expect(err).to.have.property('currentObject').that.has.property('title', 'Drink coffee');
+      }
+    })
+  })
+  after(function() {
+    return TestServer.stop();
+  })
+})
@@ -0,0 +1,215 @@
+import { expect } from 'chai';
+import TestServer from './lib/test-server.js';
+import DataSource from '../src/index.mjs';
+
+const port = 7777;
+const baseURL = `http://localhost:${port}/api`;
+const loginURL = `http://localhost:${port}/login`;
+const logoutURL = `http://localhost:${port}/logout`;
+
+describe('Cross-tab synchronization:', function() {
+  before(function() {
+    return TestServer.start(port);
+  })
+
+  const broadcastChannel = 'test-channel';
+  let dataSources = [];
+
+  const createDataSource = (options) => {
+    const dataSource = new DataSource({ baseURL, broadcastChannel, ...options });
+    dataSource.activate();
+    dataSources.push(dataSource);
+    return dataSource;
+  };
+  const wait = (delay) => {
+    return new Promise(resolve => setTimeout(resolve, delay));
+  };
+
+  beforeEach(function() {
+    return TestServer.reset();
+  })
+  afterEach(function() {
+    for (let dataSource of dataSources) {
+      dataSource.deactivate();
+    }
+    dataSources = [];
+  })
+  describe('(mutations)', function() {
+    it ('should update an object cached by another data source', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource();
+      const object1 = await dataSource1.fetchOne('/tasks/5/');
+      await dataSource2.fetchOne('/tasks/5/');
+      const changePromise = dataSource1.waitForEvent('change', 1000);
+      await dataSource2.updateOne('/tasks/', { ...object1, category: 'changed' });
+      await changePromise;
+      const object2 = await dataSource1.fetchOne('/tasks/5/');
+      expect(object2).to.have.property('category', 'changed');
+    })
+    it ('should insert an object into a list cached by another data source', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource();
+      const objects1 = await dataSource1.fetchList('/tasks/', { afterInsert: 'push' });
+      const changePromise = dataSource1.waitForEvent('change', 1000);
+      const object = await dataSource2.insertOne('/tasks/', { title: 'new', category: 'new' });
+      await changePromise;
+      const objects2 = await dataSource1.fetchList('/tasks/', { afterInsert: 'push' });
+      expect(objects2).to.have.lengthOf(objects1.length + 1);
+      expect(objects2[objects2.length - 1]).to.have.property('id', object.id);
+    })
+    it ('should remove an object from a list cached by another data source', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource();
+      const objects1 = await dataSource1.fetchList('/tasks/');
+      const changePromise = dataSource1.waitForEvent('change', 1000);
+      await dataSource2.deleteOne('/tasks/', objects1[4]);
+      await changePromise;
+      const objects2 = await dataSource1.fetchList('/tasks/');
+      expect(objects2).to.have.lengthOf(objects1.length - 1);
+      expect(objects2.find(o => o.id === objects1[4].id)).to.be.undefined;
+    })
+    it ('should ignore data sources using a different channel', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource({ broadcastChannel: 'other-channel' });
+      const object1 = await dataSource1.fetchOne('/tasks/5/');
+      await dataSource2.fetchOne('/tasks/5/');
+      await dataSource2.updateOne('/tasks/', { ...object1, category: 'changed' });
+      await wait(50);
+      const object2 = await dataSource1.fetchOne('/tasks/5/');
+      expect(object2).to.equal(object1);
+    })
+  })
+  describe('(invalidation)', function() {
+    it ('should invalidate queries in another data source', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource();
+      await dataSource1.fetchOne('/tasks/5/');
+      await dataSource1.fetchOne('/tasks/6/');
+      const changePromise = dataSource1.waitForEvent('change', 1000);
+      dataSource2.invalidate();
+      await changePromise;
+      expect(dataSource1.isCached('/tasks/5/', true)).to.be.false;
+      expect(dataSource1.isCached('/tasks/6/', true)).to.be.false;
+    })
+    it ('should invalidate a particular query in another data source', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource();
+      await dataSource1.fetchOne('/tasks/5/');
+      await dataSource1.fetchOne('/tasks/6/');
+      const changePromise = dataSource1.waitForEvent('change', 1000);
+      dataSource2.invalidateOne('/tasks/5/');
+      await changePromise;
+      expect(dataSource1.isCached('/tasks/5/', true)).to.be.false;
+      expect(dataSource1.isCached('/tasks/6/', true)).to.be.true;
+    })
+    it ('should not send back invalidations received from another data source', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource();
+      const messages = [];
+      const channel = new BroadcastChannel(broadcastChannel);
+      channel.onmessage = (evt) => {
+        messages.push(evt.data);
+      };
+      try {
+        await dataSource1.fetchOne('/tasks/5/');
+        await dataSource2.fetchOne('/tasks/5/');
+        dataSource2.invalidate();
+        await wait(50);
+        expect(messages).to.have.lengthOf(1);
+        expect(messages[0]).to.have.property('type', 'invalidate');
+      } finally {
+        channel.close();
+      }
+    })
+  })
+  describe('(authentication)', function() {
+    const credentials = { username: 'sam', password: 'beer' };
+
+    beforeEach(function() {
+      return TestServer.reset({ authentication: true });
+    })
+    it ('should resolve a pending authentication request in another data source', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource();
+      const authenticationPromise = dataSource1.waitForEvent('authentication', 1000);
+      const fetchPromise = dataSource1.fetchOne('/tasks/5/');
+      await authenticationPromise;
+      await dataSource2.authenticate(loginURL, credentials);
+      const object = await fetchPromise;
+      expect(object).to.have.property('id', 5);
+      expect(dataSource1.isAuthorized()).to.be.true;
+    })
+    it ('should report a token received from another data source as not fresh', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource();
+      const authorizationPromise = dataSource1.waitForEvent('authorization', 1000);
+      await dataSource2.authenticate(loginURL, credentials);
+      const evt = await authorizationPromise;
+      expect(evt).to.have.property('token', dataSource2.getToken(`${baseURL}/`));
+      expect(evt).to.have.property('fresh', false);
+    })
+    it ('should log out and clear queries in another data source', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource();
+      await dataSource2.authenticate(loginURL, credentials);
+      await wait(50);
+      await dataSource1.fetchOne('/tasks/5/');
+      const deauthorizationPromise = dataSource1.waitForEvent('deauthorization', 1000);
+      await dataSource2.revokeAuthorization(logoutURL);
+      await deauthorizationPromise;
+      await wait(10);
+      expect(dataSource1.isAuthorized()).to.be.false;
+      expect(dataSource1.isCached('/tasks/5/')).to.be.false;
+    })
+    it ('should cancel authorization in another data source', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource();
+      await dataSource2.authenticate(loginURL, credentials);
+      await wait(50);
+      expect(dataSource1.isAuthorized()).to.be.true;
+      dataSource2.cancelAuthorization();
+      await wait(50);
+      expect(dataSource1.isAuthorized()).to.be.false;
+    })
+    it ('should invalidate a token in another data source', async function() {
+      const dataSource1 = createDataSource();
+      const dataSource2 = createDataSource();
+      await dataSource2.authenticate(loginURL, credentials);
+      await wait(50);
+      expect(dataSource1.isAuthorized()).to.be.true;
+      dataSource2.invalidateToken(dataSource2.getToken(`${baseURL}/`));
+      await wait(50);
+      expect(dataSource1.isAuthorized()).to.be.false;
+    })
+  })
+  describe('(token refresh)', function() {
+    const authenticationScheme = 'oauth2';
+    const tokenURL = `http://localhost:${port}/o/token/`;
+    const oauthClientID = 'test-client';
+    const credentials = { username: 'sam', password: 'beer' };
+    const options = { authenticationScheme, oauthClientID, tokenRefreshURL: tokenURL };
+
+    beforeEach(function() {
+      return TestServer.reset({ authentication: 'oauth2' });
+    })
+    it ('should update the authorization in another data source', async function() {
+      const dataSource1 = createDataSource(options);
+      const dataSource2 = createDataSource(options);
+      await dataSource2.authenticate(tokenURL, credentials);
+      await wait(50);
+      const authorizationPromise = dataSource1.waitForEvent('authorization', 1000);
+      const token = await dataSource2.refreshAccessToken(dataSource2.authorizations[0]);
+      const evt = await authorizationPromise;
+      expect(evt).to.have.property('token', token);
+      expect(evt).to.have.property('fresh', false);
+      expect(dataSource1.authorizations).to.have.lengthOf(1);
+      expect(dataSource1.authorizations[0]).to.have.property('refreshToken', dataSource2.authorizations[0].refreshToken);
+      // the rotated refresh token can be used by the other data source
+      const newToken = await dataSource1.refreshAccessToken(dataSource1.authorizations[0]);
+      expect(newToken).to.be.a('string').that.does.not.equal(token);
+    })
+  })
+  after(function() {
+    return TestServer.stop();
+  })
+})
@@ -156,6 +156,57 @@ describe('Delete methods:', function() {
       expect(dataSource.isCached('/tasks/')).to.be.true;
       expect(dataSource.isCached('/tasks/', true)).to.be.false;
     })
+    describe('(optimistic)', function() {
+      before(function() {
+        return TestServer.reset();
+      })
+      const rejectDELETE = (url, options) => {
+        if (options.method === 'DELETE') {
+          return Promise.resolve(new Response(null, { status: 403, statusText: 'Forbidden' }));
+        }
+        return fetch(url, options);
+      };
+
+      it ('should remove objects from cached queries before the server responds', async function() {
+        const dataSource = new DataSource({ baseURL });
+        dataSource.activate();
+        const objects = await dataSource.fetchList('/tasks/');
+        await dataSource.fetchOne('/tasks/5');
+        const promise = dataSource.deleteMultiple('/tasks/', [ objects[4] ], { optimistic: true });
+        expect(dataSource.isCached('/tasks/5')).to.be.false;
+        const cachedObjects = await dataSource.fetchList('/tasks/');
+        expect(cachedObjects.find(o => o.id === 5)).to.be.undefined;
+        await promise;
+        try {
+          await dataSource.get(`${baseURL}/tasks/5`);
+          expect.fail();
+        } catch (err) {
+          expect(err).to.have.property('status', 404);
+        }
+      })
+      it ('should restore cached queries when the server rejects the deletion', async function() {
+        const dataSource = new DataSource({ baseURL, fetchFunc: rejectDELETE });
+        dataSource.activate();
+        const objects = await dataSource.fetchList('/tasks/');
+        const object = await dataSource.fetchOne('/tasks/6');
+        let changeCount = 0;
+        dataSource.addEventListener('change', (evt) => {
+          changeCount++;
+        });
+        try {
+          await dataSource.deleteOne('/tasks/', object, { optimistic: true });
+          expect.fail();
+        } catch (err) {
+          expect(err).to.have.property('status', 403);
+        }
+        expect(changeCount).to.equal(2);
+        expect(dataSource.isCached('/tasks/6', true)).to.be.true;
+        const cachedObject = await dataSource.fetchOne('/tasks/6');
+        expect(cachedObject).to.equal(object);
+        const cachedObjects = await dataSource.fetchList('/tasks/');
+        expect(cachedObjects).to.equal(objects);
+      })
+    })
     describe('(pagination)', function() {
       before(function() {
         return TestServer.reset({ pagination: true });
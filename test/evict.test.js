@@ -0,0 +1,89 @@
+import { expect } from 'chai';
+import TestServer from './lib/test-server.js';
+import DataSource from '../src/index.mjs';
+
+const port = 7777;
+const baseURL = `http://localhost:${port}/api`;
+
+describe('Eviction:', function() {
+  before(function() {
+    return TestServer.start(port);
+  })
+  describe('#evictQueries()', function() {
+    it ('should remove the least recently used query when maxQueries is exceeded', async function() {
+      const dataSource = new DataSource({ baseURL, maxQueries: 3 });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/1/');
+      await dataSource.fetchOne('/tasks/2/');
+      await dataSource.fetchOne('/tasks/3/');
+      // use the first one again
+      await dataSource.fetchOne('/tasks/1/');
+      await dataSource.fetchOne('/tasks/4/');
+      expect(dataSource.queries).to.have.length(3);
+      expect(dataSource.isCached('/tasks/1/')).to.be.true;
+      expect(dataSource.isCached('/tasks/2/')).to.be.false;
+      expect(dataSource.isCached('/tasks/3/')).to.be.true;
+      expect(dataSource.isCached('/tasks/4/')).to.be.true;
+    })
+    it ('should remove queries when maxObjects is exceeded', async function() {
+      const dataSource = new DataSource({ baseURL, maxObjects: 120 });
+      dataSource.activate();
+      await dataSource.fetchList('/tasks/');
+      await dataSource.fetchList('/tasks/?ordering=title');
+      expect(dataSource.isCached('/tasks/')).to.be.false;
+      expect(dataSource.isCached('/tasks/?ordering=title')).to.be.true;
+    })
+    it ('should keep a list that by itself exceeds maxObjects', async function() {
+      let fetchCount = 0;
+      const fetchFunc = (url, options) => {
+        fetchCount++;
+        return fetch(url, options);
+      };
+      const dataSource = new DataSource({ baseURL, maxObjects: 50, fetchFunc });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/1/');
+      const objects1 = await dataSource.fetchList('/tasks/');
+      expect(dataSource.queries).to.have.length(1);
+      expect(dataSource.isCached('/tasks/')).to.be.true;
+      const objects2 = await dataSource.fetchList('/tasks/');
+      expect(objects2).to.equal(objects1);
+      expect(fetchCount).to.equal(2);
+    })
+    it ('should not remove queries that have not finished', async function() {
+      // slow down request for the second object
+      const fetchFunc = (url, options) => {
+        const delay = (url.indexOf('/2/') !== -1) ? 100 : 0;
+        return new Promise(resolve => setTimeout(resolve, delay)).then(() => {
+          return fetch(url, options);
+        });
+      };
+      const dataSource = new DataSource({ baseURL, maxQueries: 1, fetchFunc });
+      dataSource.activate();
+      const promise1 = dataSource.fetchOne('/tasks/1/');
+      const promise2 = dataSource.fetchOne('/tasks/2/');
+      expect(dataSource.queries).to.have.length(2);
+      await promise1;
+      // query for second object is still pending, so neither goes yet
+      expect(dataSource.queries).to.have.length(2);
+      await promise2;
+      expect(dataSource.queries).to.have.length(1);
+      expect(dataSource.queries[0]).to.have.property('url', `${baseURL}/tasks/2/`);
+      expect(dataSource.isCached('/tasks/2/')).to.be.true;
+    })
+    it ('should emit an evict event', async function() {
+      const dataSource = new DataSource({ baseURL, maxQueries: 1 });
+      dataSource.activate();
+      let evictEvent;
+      dataSource.addEventListener('evict', (evt) => {
+        evictEvent = evt;
+      });
+      await dataSource.fetchOne('/tasks/1/');
+      await dataSource.fetchOne('/tasks/2/');
+      expect(evictEvent).to.have.property('queries').with.length(1);
+      expect(evictEvent.queries[0]).to.have.property('url', `${baseURL}/tasks/1/`);
+    })
+  })
+  after(function() {
+    return TestServer.stop();
+  })
+})
@@ -79,6 +79,11 @@ describe('Fetch methods:', function() {
       await dataSource.fetchOne(`/tasks/5/`);
       expect(unpaused).to.be.true;
     })
+    it ('should add a trailing slash even when the last component contains a period', function() {
+      const dataSource = new DataSource({ baseURL });
+      const url = dataSource.resolveURL('/users/john.doe');
+      expect(url).to.equal(`${baseURL}/users/john.doe/`);
+    })
   })
   describe('#fetchList', function() {
     describe('(no pagination)', function() {
@@ -225,6 +230,56 @@ describe('Fetch methods:', function() {
         expect(dataSource.isCached('/tasks/', true)).to.be.false;
         expect(dataSource.isCached('/tasks/?sort=1', true)).to.be.true;
       })
+      it ('should refresh every page of a list', async function() {
+        const dataSource = new DataSource({ baseURL });
+        dataSource.activate();
+        const options = { minimum: 25 };
+        const objects1 = await dataSource.fetchList(`/tasks/`, options);
+        const object1 = objects1[20];
+        await TestServer.update(object1.id, { category: 'refreshed' });
+        dataSource.invalidate();
+        await dataSource.fetchList(`/tasks/`, options);
+        await dataSource.waitForEvent('change', 1000);
+        const objects2 = await dataSource.fetchList(`/tasks/`, options);
+        expect(objects2).to.have.length(30);
+        expect(objects2[20]).to.have.property('category', 'refreshed');
+      })
+    })
+    describe('(cursor pagination)', function() {
+      before(function() {
+        return TestServer.reset({ pagination: 'cursor', perPage: 15 });
+      })
+      it ('should fetch the first page, with more() attached and total left undefined', async function() {
+        const dataSource = new DataSource({ baseURL });
+        dataSource.activate();
+        const objects = await dataSource.fetchList(`/tasks/`);
+        expect(objects).to.have.length(15);
+        expect(objects).to.have.property('more').that.is.instanceof(Function);
+        expect(objects.total).to.be.undefined;
+      })
+      it ('should fetch all pages when minimum is given as a percentage', async function() {
+        const dataSource = new DataSource({ baseURL });
+        dataSource.activate();
+        const options = { minimum: '50%' };
+        const objects = await dataSource.fetchList(`/tasks/`, options);
+        expect(objects).to.have.length(100);
+        expect(objects).to.have.property('total', 100);
+      })
+      it ('should refresh pages that have been fetched', async function() {
+        const dataSource = new DataSource({ baseURL });
+        dataSource.activate();
+        const objects1 = await dataSource.fetchList(`/tasks/`);
+        const objects2 = await objects1.more();
+        await TestServer.update(objects2[20].id, { category: 'bingo' });
+        dataSource.invalidateList(`/tasks/`);
+        // trigger the refresh
+        await dataSource.fetchList(`/tasks/`);
+        await dataSource.waitForEvent('change', 100);
+        const objects3 = await dataSource.fetchList(`/tasks/`);
+        expect(objects3).to.have.length(30);
+        expect(objects3[20]).to.have.property('category', 'bingo');
+        expect(objects3.total).to.be.undefined;
+      })
     })
     describe('(URL keys)', function() {
       before(function() {
@@ -294,6 +349,93 @@ describe('Fetch methods:', function() {
       }
     })
   })
+  describe('#fetchPage() (cursor pagination)', function() {
+    before(function() {
+      return TestServer.reset({ pagination: 'cursor', perPage: 20 });
+    })
+    it ('should fetch the third page by following links', async function() {
+      const dataSource = new DataSource({ baseURL, pagination: 'cursor' });
+      dataSource.activate();
+      const objects = await dataSource.fetchPage(`/tasks/`, 3);
+      expect(objects).to.have.length(20);
+      expect(objects[0]).to.have.property('id', 41);
+      expect(objects.total).to.be.undefined;
+    })
+    it ('should determine the total on the last page', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const options = { pagination: 'cursor' };
+      const objects = await dataSource.fetchPage(`/tasks/`, 5, options);
+      expect(objects[0]).to.have.property('id', 81);
+      expect(objects).to.have.property('total', 100);
+    })
+    it ('should fail with status code 404 when page does not exist', async function() {
+      const dataSource = new DataSource({ baseURL, pagination: 'cursor' });
+      dataSource.activate();
+      try {
+        await dataSource.fetchPage(`/tasks/`, 6);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 404);
+      }
+    })
+  })
+  describe('#fetchRange()', function() {
+    before(function() {
+      return TestServer.reset({ pagination: 'limit-offset', perPage: 20 });
+    })
+    it ('should fetch a range of objects, with total attached to result', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const objects = await dataSource.fetchRange(`/tasks/`, 35, 10);
+      expect(objects).to.have.length(10);
+      expect(objects[0]).to.have.property('id', 36);
+      expect(objects).to.have.property('total', 100);
+    })
+    it ('should cache objects', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const objects1 = await dataSource.fetchRange(`/tasks/`, 35, 10);
+      const objects2 = await dataSource.fetchRange(`/tasks/`, 35, 10);
+      expect(objects2).to.equal(objects1);
+      const object = await dataSource.fetchOne(`/tasks/${objects1[2].id}/`);
+      expect(object).to.equal(objects1[2]);
+    })
+    it ('should refresh query when it is invalidated', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const objects1 = await dataSource.fetchRange(`/tasks/`, 35, 10);
+      await TestServer.update(objects1[0].id, { category: 'bingo' });
+      expect(dataSource.invalidateRange(`/tasks/`, 35, 10)).to.be.true;
+      dataSource.fetchRange(`/tasks/`, 35, 10);
+      await dataSource.waitForEvent('change', 100);
+      const objects2 = await dataSource.fetchRange(`/tasks/`, 35, 10);
+      expect(objects2[0]).to.have.property('category', 'bingo');
+    })
+    it ('should allow fetchPage() to work with a page size', async function() {
+      const dataSource = new DataSource({ baseURL, pagination: 'limit-offset', pageSize: 15 });
+      dataSource.activate();
+      const objects = await dataSource.fetchPage(`/tasks/`, 3);
+      expect(objects).to.have.length(15);
+      expect(objects[0]).to.have.property('id', 31);
+    })
+    it ('should allow fetchPage() to work without a page size', async function() {
+      const dataSource = new DataSource({ baseURL, pagination: 'limit-offset' });
+      dataSource.activate();
+      const objects = await dataSource.fetchPage(`/tasks/`, 3);
+      expect(objects).to.have.length(20);
+      expect(objects[0]).to.have.property('id', 41);
+    })
+    it ('should allow fetchList() to work with a page size', async function() {
+      const dataSource = new DataSource({ baseURL, pagination: 'limit-offset', pageSize: 15 });
+      dataSource.activate();
+      const objects1 = await dataSource.fetchList(`/tasks/`);
+      expect(objects1).to.have.length(15);
+      const objects2 = await objects1.more();
+      expect(objects2).to.have.length(30);
+      expect(objects2).to.have.property('total', 100);
+    })
+  })
   describe('#fetchMultiple()', function() {
     before(function() {
       return TestServer.reset();
@@ -363,6 +505,43 @@ describe('Fetch methods:', function() {
       }
     })
   })
+  describe('(URL normalization)', function() {
+    const createFetchFunc = () => {
+      const fetchFunc = (url, options) => {
+        fetchFunc.urls.push(url);
+        return fetch(url, options);
+      };
+      fetchFunc.urls = [];
+      return fetchFunc;
+    };
+
+    it ('should put URLs into a standard form', function() {
+      const dataSource = new DataSource({ baseURL });
+      const url = dataSource.resolveURL('HTTP://Example.COM:80/api/tasks?b=2&a=1&a=0#top');
+      expect(url).to.equal('http://example.com/api/tasks/?a=1&a=0&b=2');
+    })
+    it ('should encode query variables consistently', function() {
+      const dataSource = new DataSource({ baseURL });
+      const url1 = dataSource.resolveURL('/tasks/?title=hello+world&next=/a?b');
+      const url2 = dataSource.resolveURL('/tasks/?next=%2Fa%3Fb&title=hello%20world');
+      expect(url1).to.equal(url2);
+    })
+    it ('should use cached results when query variables are in a different order', async function() {
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      const objects1 = await dataSource.fetchList('/tasks/?ordering=id&category=drinking');
+      const objects2 = await dataSource.fetchList('/tasks/?category=drinking&ordering=id');
+      expect(objects2).to.equal(objects1);
+      expect(fetchFunc.urls).to.have.lengthOf(1);
+    })
+    it ('should find cached objects regardless of the case of the host name', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/5/');
+      expect(dataSource.isCached(`http://LOCALHOST:${port}/api/tasks/5/`)).to.be.true;
+    })
+  })
   after(function() {
     return TestServer.stop();
   })
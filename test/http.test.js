@@ -1,6 +1,6 @@
 import { expect } from 'chai';
 import TestServer from './lib/test-server.js';
-import DataSource from '../src/index.mjs';
+import DataSource, { DataSourceError, NetworkError, ServerError } from '../src/index.mjs';
 
 const port = 7777;
 const testURL = `http://localhost:${port}/test`;
@@ -41,6 +41,120 @@ describe('Basic HTTP operations:', function() {
       expect(response).to.have.property('status', 'ok');
     })
   })
+  describe('#request()', function() {
+    const createFetchFunc = (failures, status) => {
+      const fetchFunc = (url, options) => {
+        fetchFunc.count++;
+        if (fetchFunc.count <= failures) {
+          if (status) {
+            return Promise.resolve(new Response(null, { status, statusText: 'Service Unavailable' }));
+          } else {
+            return Promise.reject(new TypeError('Failed to fetch'));
+          }
+        }
+        return fetch(url, options);
+      };
+      fetchFunc.count = 0;
+      return fetchFunc;
+    };
+    const retryPolicy = { delay: 10 };
+
+    it ('should retry a GET request when the server is temporarily unavailable', async function() {
+      const fetchFunc = createFetchFunc(2, 503);
+      const dataSource = new DataSource({ fetchFunc, retryPolicy });
+      dataSource.activate();
+      const response = await dataSource.get(testURL);
+      expect(response).to.have.property('status', 'ok');
+      expect(fetchFunc.count).to.equal(3);
+    })
+    it ('should retry a GET request after a network error', async function() {
+      const fetchFunc = createFetchFunc(1);
+      const dataSource = new DataSource({ fetchFunc, retryPolicy });
+      dataSource.activate();
+      const response = await dataSource.get(testURL);
+      expect(response).to.have.property('status', 'ok');
+      expect(fetchFunc.count).to.equal(2);
+    })
+    it ('should give up after the given number of retries', async function() {
+      const fetchFunc = createFetchFunc(10, 503);
+      const dataSource = new DataSource({ fetchFunc, retryPolicy: { delay: 10, count: 2 } });
+      dataSource.activate();
+      try {
+        await dataSource.get(testURL);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 503);
+        expect(err).to.have.property('retries', 2);
+      }
+      expect(fetchFunc.count).to.equal(3);
+    })
+    it ('should not retry a POST request by default', async function() {
+      const fetchFunc = createFetchFunc(1, 503);
+      const dataSource = new DataSource({ fetchFunc, retryPolicy });
+      dataSource.activate();
+      try {
+        await dataSource.post(testURL, {});
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 503);
+        expect(err).to.have.property('retries', 0);
+      }
+    })
+    it ('should retry a POST request when the method is in the policy', async function() {
+      const fetchFunc = createFetchFunc(1, 502);
+      const dataSource = new DataSource({ fetchFunc, retryPolicy: { delay: 10, methods: [ 'GET', 'POST' ] } });
+      dataSource.activate();
+      const response = await dataSource.post(testURL, {});
+      expect(response).to.have.property('status', 'ok');
+    })
+    it ('should not retry when retryPolicy is null', async function() {
+      const fetchFunc = createFetchFunc(1, 503);
+      const dataSource = new DataSource({ fetchFunc, retryPolicy: null });
+      dataSource.activate();
+      try {
+        await dataSource.get(testURL);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 503);
+      }
+    })
+    it ('should provide information about the request when the server responds with an error', async function() {
+      const fetchFunc = (url, options) => {
+        const headers = { 'Content-Type': 'text/html', 'X-Request-Id': '1234' };
+        return Promise.resolve(new Response('<h1>Server Error</h1>', { status: 500, statusText: 'Internal Server Error', headers }));
+      };
+      const dataSource = new DataSource({ fetchFunc, retryPolicy: null });
+      dataSource.activate();
+      try {
+        await dataSource.put(testURL, {});
+        expect.fail();
+      } catch (err) {
+        expect(err).to.be.instanceof(ServerError);
+        expect(err).to.be.instanceof(DataSourceError);
+        expect(err).to.have.property('status', 500);
+        expect(err).to.have.property('url', testURL);
+        expect(err).to.have.property('method', 'PUT');
+        expect(err).to.have.property('headers').that.has.property('x-request-id', '1234');
+        expect(err).to.have.property('rawBody', '<h1>Server Error</h1>');
+        expect(err).to.have.property('body', '<h1>Server Error</h1>');
+      }
+    })
+    it ('should fail with a NetworkError when the server cannot be reached', async function() {
+      const fetchFunc = createFetchFunc(1);
+      const dataSource = new DataSource({ fetchFunc, retryPolicy: null });
+      dataSource.activate();
+      try {
+        await dataSource.get(testURL);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.be.instanceof(NetworkError);
+        expect(err).to.have.property('url', testURL);
+        expect(err).to.have.property('method', 'GET');
+        expect(err).to.have.property('cause').that.is.instanceof(TypeError);
+        expect(err).to.have.property('message', 'Failed to fetch');
+      }
+    })
+  })
   after(function() {
     return TestServer.stop();
   })
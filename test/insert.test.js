@@ -1,6 +1,6 @@
 import { expect } from 'chai';
 import TestServer from './lib/test-server.js';
-import DataSource from '../src/index.mjs';
+import DataSource, { ValidationError } from '../src/index.mjs';
 
 const port = 7777;
 const baseURL = `http://localhost:${port}/api`;
@@ -41,6 +41,87 @@ describe('Insert methods:', function() {
         expect(err).to.have.property('status', 404);
       }
     })
+    it ('should upload files using multipart form data', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const object = {
+        title: 'Take photos',
+        category: 'art',
+        attachment: new File([ 'Hello world' ], 'hello.txt', { type: 'text/plain' }),
+        details: {
+          location: 'Beach',
+          people: [ { name: 'Alice' }, { name: 'Bob' } ],
+        },
+        tags: [ 'summer', 'vacation' ],
+      };
+      const insertedObject = await dataSource.insertOne('/tasks/', object);
+      expect(insertedObject).to.have.property('title', 'Take photos');
+      expect(insertedObject).to.have.property('attachment', `http://localhost:${port}/media/hello.txt`);
+      expect(insertedObject).to.have.property('details').that.eql({
+        location: 'Beach',
+        people: [ { name: 'Alice' }, { name: 'Bob' } ],
+      });
+      expect(insertedObject).to.have.property('tags').that.eql([ 'summer', 'vacation' ]);
+
+      // the object returned by the server should be cached
+      const cachedObject = await dataSource.fetchOne(`/tasks/${insertedObject.id}/`);
+      expect(cachedObject).to.deep.equal(insertedObject);
+    })
+    it ('should emit uploadprogress events when uploading files', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const object = {
+        title: 'Take more photos',
+        category: 'art',
+        attachment: new File([ 'Hello world' ], 'hello.txt', { type: 'text/plain' }),
+      };
+      const events = [];
+      dataSource.addEventListener('uploadprogress', (evt) => {
+        events.push(evt);
+      });
+      await dataSource.insertOne('/tasks/', object);
+      expect(events).to.have.length.that.is.at.least(1);
+      expect(events[0]).to.have.property('object', object);
+      expect(events[0]).to.have.property('url', `${baseURL}/tasks/`);
+      const lastEvent = events[events.length - 1];
+      expect(lastEvent.loaded).to.equal(lastEvent.total);
+    })
+    it ('should provide field errors reported by the server', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const object = {
+        title: '',
+        category: 'drinking',
+      };
+      try {
+        await dataSource.insertOne('/tasks/', object);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.be.instanceof(ValidationError);
+        expect(err).to.have.property('status', 400);
+        expect(err).to.have.property('body').that.eql({ title: [ 'This field may not be blank.' ] });
+        expect(err).to.have.property('fieldErrors').that.eql({ title: [ 'This field may not be blank.' ] });
+        expect(err).to.have.property('nonFieldErrors').that.eql([]);
+        expect(err).to.have.property('detail', 'title: This field may not be blank.');
+        expect(err).to.have.property('object', object);
+      }
+    })
+    it ('should provide non-field errors reported by the server', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const object = {
+        title: 'Break the law',
+        category: 'forbidden',
+      };
+      try {
+        await dataSource.insertOne('/tasks/', object);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 400);
+        expect(err).to.have.property('nonFieldErrors').that.eql([ 'Tasks of this category are not allowed.' ]);
+        expect(err).to.have.property('detail', 'Tasks of this category are not allowed.');
+      }
+    })
   })
   describe('#insertMultiple()', function() {
     before(function() {
@@ -120,6 +201,97 @@ describe('Insert methods:', function() {
       const object = objectsAfterRefresh[objectsAfterRefresh.length - 1];
       expect(object).to.have.property('category', 'eating');
     })
+    it ('should indicate which object each error belongs to', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const newObjects = [
+        { title: 'Drink tea', category: 'drinking' },
+        { title: '', category: 'drinking' },
+        { title: 'Drink coffee', category: 'forbidden' },
+      ];
+      try {
+        await dataSource.insertMultiple('/tasks/', newObjects);
+        expect.fail();
+      } catch (err) {
+        expect(err.errors[0]).to.be.null;
+        expect(err.errors[1]).to.have.property('object', newObjects[1]);
+        expect(err.errors[1]).to.have.property('fieldErrors').that.has.property('title');
+        expect(err.errors[2]).to.have.property('object', newObjects[2]);
+        expect(err.errors[2]).to.have.property('nonFieldErrors').that.has.length(1);
+      }
+    })
+    describe('(optimistic)', function() {
+      before(function() {
+        return TestServer.reset();
+      })
+      it ('should add placeholders to list query before the server responds', async function() {
+        const dataSource = new DataSource({ baseURL });
+        dataSource.activate();
+        const options = { afterInsert: 'push' };
+        await dataSource.fetchList('/tasks/', options);
+        const newObjects = [
+          {
+            title: 'Write comment',
+            description: 'Before the moment passes',
+            category: 'writing',
+          },
+        ];
+        const promise = dataSource.insertMultiple('/tasks/', newObjects, { optimistic: true });
+        const objects = await dataSource.fetchList('/tasks/', options);
+        expect(objects).to.have.length(101);
+        const placeholder = objects[100];
+        expect(placeholder).to.have.property('category', 'writing');
+        expect(placeholder.id).to.match(/^temp-/);
+        const placeholderURL = `/tasks/${placeholder.id}/`;
+        expect(dataSource.isCached(placeholderURL)).to.be.true;
+
+        const insertedObjects = await promise;
+        expect(insertedObjects[0]).to.have.property('id', 101);
+        const objectsAfter = await dataSource.fetchList('/tasks/', options);
+        expect(objectsAfter).to.have.length(101);
+        expect(objectsAfter[100]).to.equal(insertedObjects[0]);
+        // object query should be re-keyed
+        expect(dataSource.isCached(placeholderURL)).to.be.false;
+        expect(dataSource.isCached('/tasks/101/', true)).to.be.true;
+        const object = await dataSource.fetchOne('/tasks/101/');
+        expect(object).to.equal(insertedObjects[0]);
+      })
+      it ('should remove placeholders when insertion fails', async function() {
+        const rejectPOST = (url, options) => {
+          if (options.method === 'POST') {
+            return Promise.resolve(new Response(null, { status: 400, statusText: 'Bad Request' }));
+          }
+          return fetch(url, options);
+        };
+        const dataSource = new DataSource({ baseURL, fetchFunc: rejectPOST });
+        dataSource.activate();
+        const options = { afterInsert: 'unshift' };
+        const objectsBefore = await dataSource.fetchList('/tasks/', options);
+        let changeCount = 0;
+        dataSource.addEventListener('change', (evt) => {
+          changeCount++;
+        });
+        const newObjects = [
+          {
+            title: 'Write comment',
+            description: 'That no one will read',
+            category: 'writing',
+          },
+        ];
+        try {
+          await dataSource.insertMultiple('/tasks/', newObjects, { optimistic: true });
+          expect.fail();
+        } catch (err) {
+          expect(err).to.have.property('status', 400);
+        }
+        expect(changeCount).to.equal(2);
+        const objectsAfter = await dataSource.fetchList('/tasks/', options);
+        expect(objectsAfter).to.eql(objectsBefore);
+        for (let query of dataSource.queries) {
+          expect(query.url).to.not.contain('temp-');
+        }
+      })
+    })
   })
   after(function() {
     return TestServer.stop();
@@ -1,20 +1,29 @@
 const Express = require('express');
 const BodyParser = require('body-parser');
 const CORS = require('cors');
+const WebSocket = require('ws');
 
 const defaultOptions = {
   pagination: false,
   authentication: false,
   perPage: 10,
   urlKeys: false,
+  tokenLifetime: 300,
 };
 
 let currentOptions;
 let nextID;
 let testData;
 let authToken;
+let csrfToken;
+let accessTokens;
+let refreshToken;
 let server;
 let serverPort;
+let sockets = [];
+let eventStreams = [];
+let changeEvents;
+let nextEventID;
 
 function start(port, options) {
   // reset options and test data
@@ -23,25 +32,49 @@ function start(port, options) {
   // set up handlers
   const app = Express();
   app.use(BodyParser.json());
-  app.use(CORS());
+  app.use(BodyParser.urlencoded({ extended: false }));
+  app.use(parseMultipartBody);
+  app.use(ignoreCacheControl);
+  app.use(CORS({ origin: true, credentials: true, exposedHeaders: [ 'ETag' ] }));
   app.set('json spaces', 2);
+  // Django's ConditionalGetMiddleware produces strong ETags
+  app.set('etag', 'strong');
   app.route('/test')
     .get(handleTestRequest)
     .post(handleTestRequest)
     .put(handleTestRequest)
     .delete(handleTestRequest);
+  app.route('/api/token/')
+    .post(handleTokenObtain);
+  app.route('/api/token/refresh/')
+    .post(handleTokenRefresh);
+  app.route('/api/token/blacklist/')
+    .post(handleTokenBlacklist);
   app.use('/api/', checkAuthentication);
+  app.route('/api/events/')
+    .get(handleEventStream);
   app.route('/api/tasks/')
     .get(handleListFetch)
     .post(handleObjectInsert);
+  app.route('/api/tasks.csv')
+    .get(handleCSVExport);
+  app.route('/api/logo.png')
+    .get(handleImageFetch);
   app.route('/api/tasks/:id')
     .get(handleObjectFetch)
     .put(handleObjectUpdate)
+    .patch(handleObjectUpdate)
     .delete(handleObjectDelete);
   app.route('/login')
     .post(handleLogIn);
   app.route('/logout')
     .post(handleLogOut);
+  app.route('/csrf')
+    .get(handleCSRFRequest);
+  app.route('/o/token/')
+    .post(handleOAuthToken);
+  app.route('/o/revoke_token/')
+    .post(handleOAuthRevocation);
 
   // start up server
   return new Promise((resolve, reject) => {
@@ -49,6 +82,10 @@ function start(port, options) {
       server = app.listen(port, resolve);
       serverPort = port;
 
+      // mimic a Django Channels consumer that sends change notifications
+      const socketServer = new WebSocket.Server({ server, path: '/api/changes/' });
+      socketServer.on('connection', handleSocketConnection);
+
       // break connections on shutdown
       const connections = {};
       server.on('connection', (conn) => {
@@ -82,6 +119,11 @@ function stop() {
 function reset(options) {
   currentOptions = Object.assign({}, defaultOptions, options);
   nextID = 1;
+  csrfToken = createToken();
+  accessTokens = {};
+  refreshToken = null;
+  changeEvents = [];
+  nextEventID = 1;
   testData = [];
   for (let i = 1; i <= 100; i++) {
     testData.push(createTestObject());
@@ -105,15 +147,21 @@ function insert(props) {
   const id = nextID++;
   const object = Object.assign({ id }, props);
   testData.push(object);
+  sendChangeNotification('create', object);
   return object;
 }
 
 function update(id, props) {
+  if (typeof(props.id) === 'string') {
+    // values in form data are strings
+    props = { ...props, id: parseInt(props.id) };
+  }
   if (props.hasOwnProperty('id') && id !== props.id) {
     raise(400);
   }
   const object = find(id);
   Object.assign(object, props);
+  sendChangeNotification('update', object);
   return object;
 }
 
@@ -125,6 +173,7 @@ function remove(id) {
     raise(404);
   }
   testData = newList;
+  sendChangeNotification('delete', { id });
 }
 
 function createTestObject() {
@@ -159,6 +208,23 @@ function getPageURL(page) {
   return url;
 }
 
+function getRangeURL(offset, limit) {
+  return `http://localhost:${serverPort}/api/tasks/?limit=${limit}&offset=${offset}`;
+}
+
+function getCursorURL(offset) {
+  const cursor = Buffer.from(`o=${offset}`).toString('base64');
+  return `http://localhost:${serverPort}/api/tasks/?cursor=${encodeURIComponent(cursor)}`;
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return 0;
+  }
+  const m = /o=(\d+)/.exec(Buffer.from(cursor, 'base64').toString());
+  return (m) ? parseInt(m[1]) : 0;
+}
+
 function getObjectURL(object) {
   return `http://localhost:${serverPort}/api/tasks/${object.id}/`;
 }
@@ -170,8 +236,75 @@ function getAuthorizationToken(req) {
   }
 }
 
+function getBearerToken(req) {
+  const m = /Bearer ([\w\-\.]+)/.exec(req.headers.authorization);
+  if (m) {
+    return m[1];
+  }
+}
+
+function encodeBase64URL(object) {
+  const base64 = Buffer.from(JSON.stringify(object)).toString('base64');
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function createJWT(type, lifetime) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const payload = { token_type: type, exp: now + lifetime, iat: now, jti: createToken() };
+  return `${encodeBase64URL(header)}.${encodeBase64URL(payload)}.${createToken()}`;
+}
+
+function issueAccessToken() {
+  const lifetime = currentOptions.tokenLifetime;
+  const token = createJWT('access', lifetime);
+  accessTokens[token] = Date.now() + lifetime * 1000;
+  return token;
+}
+
+function getCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(/;\s*/);
+  for (let cookie of cookies) {
+    const [ key, value ] = cookie.split('=');
+    if (key === name) {
+      return value;
+    }
+  }
+}
+
+function checkCSRFToken(req, res) {
+  if (/^(GET|HEAD|OPTIONS)$/.test(req.method)) {
+    return true;
+  }
+  const token = req.headers['x-csrftoken'];
+  if (!token || token !== getCookie(req, 'csrftoken') || token !== csrfToken) {
+    res.status(403).json({ detail: 'CSRF Failed: CSRF token missing or incorrect.' });
+    return false;
+  }
+  return true;
+}
+
+function createToken() {
+  return Math.random().toString(16).substr(2);
+}
+
 function checkAuthentication(req, res, done) {
-  if (currentOptions.authentication) {
+  if (currentOptions.authentication === 'session') {
+    const sessionID = getCookie(req, 'sessionid');
+    if (!sessionID || sessionID !== authToken) {
+      // DRF's SessionAuthentication responds with 403 instead of 401
+      res.status(403).json({ detail: 'Authentication credentials were not provided.' });
+    } else if (checkCSRFToken(req, res)) {
+      done();
+    }
+  } else if (currentOptions.authentication === 'jwt' || currentOptions.authentication === 'oauth2') {
+    const token = getBearerToken(req);
+    if (!token || !(accessTokens[token] > Date.now())) {
+      res.status(401).json({ detail: 'Given token not valid for any token type' });
+    } else {
+      done();
+    }
+  } else if (currentOptions.authentication) {
     const token = getAuthorizationToken(req);
     if (!token) {
       res.sendStatus(401);
@@ -188,7 +321,27 @@ function checkAuthentication(req, res, done) {
 function handleListFetch(req, res) {
   const page = parseInt(req.query.page) || 1;
   try {
-    if (currentOptions.pagination) {
+    if (currentOptions.pagination === 'cursor') {
+      // no count, just links to the next and previous pages
+      const perPage = currentOptions.perPage;
+      const start = decodeCursor(req.query.cursor);
+      const end = start + perPage;
+      const objects = testData.slice(start, end);
+      const next = (end < testData.length) ? getCursorURL(end) : null;
+      const previous = (start > 0) ? getCursorURL(Math.max(0, start - perPage)) : null;
+      const results = objects.map(transformObject);
+      res.json({ next, previous, results });
+    } else if (currentOptions.pagination === 'limit-offset') {
+      const limit = parseInt(req.query.limit) || currentOptions.perPage;
+      const start = parseInt(req.query.offset) || 0;
+      const end = start + limit;
+      const objects = testData.slice(start, end);
+      const count = testData.length;
+      const next = (end < count) ? getRangeURL(end, limit) : null;
+      const previous = (start > 0) ? getRangeURL(Math.max(0, start - limit), limit) : null;
+      const results = objects.map(transformObject);
+      res.json({ count, next, previous, results });
+    } else if (currentOptions.pagination) {
       const perPage = currentOptions.perPage;
       const start = (page - 1) * perPage;
       const end = start + perPage;
@@ -218,14 +371,122 @@ function handleObjectFetch(req, res) {
   }
 }
 
+function validate(props) {
+  // mimic errors produced by DRF serializers
+  const errors = {};
+  if (props.hasOwnProperty('title') && !props.title) {
+    errors.title = [ 'This field may not be blank.' ];
+  }
+  if (props.category === 'forbidden') {
+    errors.non_field_errors = [ 'Tasks of this category are not allowed.' ];
+  }
+  if (Object.keys(errors).length > 0) {
+    const err = new Error;
+    err.status = 400;
+    err.body = errors;
+    throw err;
+  }
+}
+
+function handleCSVExport(req, res) {
+  const lines = [ 'id,title,category' ];
+  for (let object of testData) {
+    lines.push(`${object.id},${object.title},${object.category}`);
+  }
+  res.type('text/csv').send(lines.join('\n'));
+}
+
+function handleImageFetch(req, res) {
+  // 1x1 transparent PNG
+  const data = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+  res.type('image/png').send(Buffer.from(data, 'base64'));
+}
+
+function handleSocketConnection(socket) {
+  socket.folders = [];
+  socket.on('message', (data) => {
+    const message = JSON.parse(data);
+    if (message.type === 'subscribe') {
+      socket.folders = message.folders;
+    }
+  });
+  socket.on('close', () => {
+    sockets = sockets.filter(s => s !== socket);
+  });
+  sockets.push(socket);
+}
+
+function sendChangeNotification(action, object) {
+  const folderURL = `http://localhost:${serverPort}/api/tasks/`;
+  const message = { action, url: getObjectURL(object) };
+  if (action !== 'delete') {
+    message.object = transformObject(object);
+  }
+  for (let socket of sockets) {
+    if (socket.folders.indexOf(folderURL) !== -1) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+  const event = { id: nextEventID++, message };
+  changeEvents.push(event);
+  for (let res of eventStreams) {
+    sendEvent(res, event);
+  }
+}
+
+function handleEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+  });
+  res.write('retry: 20\n\n');
+  // resend events that the client has missed
+  const lastEventID = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+  if (!isNaN(lastEventID)) {
+    for (let event of changeEvents) {
+      if (event.id > lastEventID) {
+        sendEvent(res, event);
+      }
+    }
+  }
+  req.on('close', () => {
+    eventStreams = eventStreams.filter(r => r !== res);
+  });
+  eventStreams.push(res);
+}
+
+function sendEvent(res, event) {
+  res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.message)}\n\n`);
+}
+
+function dropEvents(count) {
+  // pretend that events were lost
+  nextEventID += count;
+}
+
+function getSubscriptions() {
+  return sockets.map(socket => socket.folders);
+}
+
+function disconnectSockets() {
+  for (let socket of sockets) {
+    socket.terminate();
+  }
+  for (let res of eventStreams) {
+    res.end();
+  }
+  eventStreams = [];
+}
+
 function handleObjectInsert(req, res) {
   const props = req.body;
   try {
+    validate(props);
     const object = insert(props);
     const result = transformObject(object);
     res.json(result);
   } catch (err) {
-    res.sendStatus(err.status || 500);
+    sendError(res, err);
   }
 }
 
@@ -233,17 +494,20 @@ function handleObjectUpdate(req, res) {
   const id = parseInt(req.params.id);
   const props = req.body;
   try {
+    checkPrecondition(req, find(id));
+    validate(props);
     const object = update(id, props);
     const result = transformObject(object);
     res.json(result);
   } catch (err) {
-    res.sendStatus(err.status || 500);
+    sendError(res, err);
   }
 }
 
 function handleObjectDelete(req, res) {
   const id = parseInt(req.params.id);
   try {
+    checkPrecondition(req, find(id));
     remove(id);
     res.sendStatus(204);
   } catch (err) {
@@ -251,16 +515,41 @@ function handleObjectDelete(req, res) {
   }
 }
 
+function checkPrecondition(req, object) {
+  // mimic django.views.decorators.http.condition()
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch && ifMatch !== '*') {
+    const body = JSON.stringify(transformObject(object), null, 2);
+    const etag = req.app.get('etag fn')(body, 'utf8');
+    if (ifMatch.split(/\s*,\s*/).indexOf(etag) === -1) {
+      raise(412);
+    }
+  }
+}
+
 function handleLogIn(req, res) {
   const credentials = req.body;
   try {
+    if (currentOptions.authentication === 'session') {
+      if (!checkCSRFToken(req, res)) {
+        return;
+      }
+    }
     if (!credentials.username || !credentials.password) {
       raise(400);
     }
     if (credentials.password === 'incorrect') {
       raise(401);
     }
-    authToken = Math.random().toString(16).substr(2);
+    authToken = createToken();
+    if (currentOptions.authentication === 'session') {
+      // Django rotates the CSRF token on login
+      csrfToken = createToken();
+      res.cookie('sessionid', authToken, { httpOnly: true });
+      res.cookie('csrftoken', csrfToken);
+      res.json({});
+      return;
+    }
     res.json({ key: authToken });
   } catch (err) {
     res.sendStatus(err.status || 500);
@@ -269,6 +558,18 @@ function handleLogIn(req, res) {
 
 function handleLogOut(req, res) {
   try {
+    if (currentOptions.authentication === 'session') {
+      if (!checkCSRFToken(req, res)) {
+        return;
+      }
+      if (getCookie(req, 'sessionid') !== authToken) {
+        raise(403);
+      }
+      authToken = null;
+      res.clearCookie('sessionid');
+      res.sendStatus(204);
+      return;
+    }
     const token = getAuthorizationToken(req);
     if (token !== authToken) {
       raise(403);
@@ -280,10 +581,176 @@ function handleLogOut(req, res) {
   }
 }
 
+function handleTokenObtain(req, res) {
+  const credentials = req.body;
+  try {
+    if (!credentials.username || !credentials.password) {
+      raise(400);
+    }
+    if (credentials.password === 'incorrect') {
+      raise(401);
+    }
+    refreshToken = createJWT('refresh', 86400);
+    res.json({ access: issueAccessToken(), refresh: refreshToken });
+  } catch (err) {
+    res.sendStatus(err.status || 500);
+  }
+}
+
+function handleTokenRefresh(req, res) {
+  try {
+    if (!refreshToken || req.body.refresh !== refreshToken) {
+      raise(401);
+    }
+    res.json({ access: issueAccessToken() });
+  } catch (err) {
+    res.sendStatus(err.status || 500);
+  }
+}
+
+function handleTokenBlacklist(req, res) {
+  try {
+    if (!refreshToken || req.body.refresh !== refreshToken) {
+      raise(401);
+    }
+    refreshToken = null;
+    res.json({});
+  } catch (err) {
+    res.sendStatus(err.status || 500);
+  }
+}
+
+function handleOAuthToken(req, res) {
+  const params = req.body;
+  try {
+    if (params.client_id !== 'test-client') {
+      res.status(401).json({ error: 'invalid_client' });
+      return;
+    }
+    if (params.grant_type === 'password') {
+      if (!params.username || params.password === 'incorrect') {
+        res.status(400).json({ error: 'invalid_grant' });
+        return;
+      }
+    } else if (params.grant_type === 'refresh_token') {
+      if (!refreshToken || params.refresh_token !== refreshToken) {
+        res.status(400).json({ error: 'invalid_grant' });
+        return;
+      }
+    } else {
+      raise(400);
+    }
+    refreshToken = createToken();
+    res.json({
+      access_token: issueAccessToken(),
+      expires_in: currentOptions.tokenLifetime,
+      token_type: 'Bearer',
+      scope: params.scope || 'read write',
+      refresh_token: refreshToken,
+    });
+  } catch (err) {
+    res.sendStatus(err.status || 500);
+  }
+}
+
+function handleOAuthRevocation(req, res) {
+  const params = req.body;
+  if (params.token_type_hint === 'refresh_token' && params.token === refreshToken) {
+    // access tokens are revoked along with the refresh token
+    refreshToken = null;
+    accessTokens = {};
+  } else {
+    delete accessTokens[params.token];
+  }
+  // respond with an empty body, like Django OAuth Toolkit
+  res.status(200).end();
+}
+
+function expireAccessTokens() {
+  accessTokens = {};
+}
+
+function handleCSRFRequest(req, res) {
+  res.cookie('csrftoken', csrfToken);
+  res.sendStatus(204);
+}
+
 function handleTestRequest(req, res) {
   res.json({ status: 'ok' });
 }
 
+function ignoreCacheControl(req, res, done) {
+  // browsers send "Cache-Control: no-cache" along with conditional requests,
+  // which Django's ConditionalGetMiddleware ignores but Express doesn't
+  if (req.headers['if-none-match'] || req.headers['if-modified-since']) {
+    delete req.headers['cache-control'];
+    delete req.headers['pragma'];
+  }
+  done();
+}
+
+function parseMultipartBody(req, res, done) {
+  const m = /^multipart\/form-data;\s*boundary=(.+)$/i.exec(req.headers['content-type']);
+  if (!m) {
+    return done();
+  }
+  const delimiter = '--' + m[1].replace(/^"|"$/g, '');
+  const chunks = [];
+  req.on('data', (chunk) => {
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    const data = Buffer.concat(chunks).toString('latin1');
+    const fields = [];
+    for (let part of data.split(delimiter).slice(1, -1)) {
+      const headerEnd = part.indexOf('\r\n\r\n');
+      const header = part.substring(2, headerEnd);
+      const content = part.substring(headerEnd + 4, part.length - 2);
+      const name = /\bname="([^"]*)"/.exec(header)[1];
+      const filename = /\bfilename="([^"]*)"/.exec(header);
+      if (filename) {
+        // mimic the URL returned by a FileField
+        fields.push([ name, `http://localhost:${serverPort}/media/${filename[1]}` ]);
+      } else {
+        fields.push([ name, Buffer.from(content, 'latin1').toString('utf8') ]);
+      }
+    }
+    req.body = parseFormFields(fields);
+    done();
+  });
+}
+
+function parseFormFields(fields) {
+  // handle nested fields the same way as DRF
+  // (e.g. "field.subfield", "field[0]", "field[0]subfield")
+  const body = {};
+  for (let [ key, value ] of fields) {
+    const path = [];
+    const re = /([^.[\]]+)|\[(\d+)\]/g;
+    let m;
+    while (m = re.exec(key)) {
+      path.push((m[2] !== undefined) ? parseInt(m[2]) : m[1]);
+    }
+    let container = body;
+    for (let i = 0; i < path.length - 1; i++) {
+      if (container[path[i]] === undefined) {
+        container[path[i]] = (typeof(path[i + 1]) === 'number') ? [] : {};
+      }
+      container = container[path[i]];
+    }
+    container[path[path.length - 1]] = value;
+  }
+  return body;
+}
+
+function sendError(res, err) {
+  if (err.body) {
+    res.status(err.status).json(err.body);
+  } else {
+    res.sendStatus(err.status || 500);
+  }
+}
+
 function raise(status) {
   const err = new Error;
   err.status = status;
@@ -298,4 +765,8 @@ module.exports = {
   insert,
   update,
   remove,
+  expireAccessTokens,
+  getSubscriptions,
+  disconnectSockets,
+  dropEvents,
 };
@@ -37,6 +37,30 @@ const serverProxy = {
       return TestServer.remove(id);
     });
   },
+  expireAccessTokens: function() {
+    return Server.run(function() {
+      const TestServer = serverRequire('./test/lib/test-server-node');
+      return TestServer.expireAccessTokens();
+    });
+  },
+  getSubscriptions: function() {
+    return Server.run(function() {
+      const TestServer = serverRequire('./test/lib/test-server-node');
+      return TestServer.getSubscriptions();
+    });
+  },
+  disconnectSockets: function() {
+    return Server.run(function() {
+      const TestServer = serverRequire('./test/lib/test-server-node');
+      return TestServer.disconnectSockets();
+    });
+  },
+  dropEvents: function(count) {
+    return Server.run(count, function(count) {
+      const TestServer = serverRequire('./test/lib/test-server-node');
+      return TestServer.dropEvents(count);
+    });
+  },
 };
 
 export {
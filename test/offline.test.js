@@ -0,0 +1,166 @@
+import { expect } from 'chai';
+import TestServer from './lib/test-server.js';
+import DataSource, { MemoryStorage } from '../src/index.mjs';
+
+const port = 7777;
+const baseURL = `http://localhost:${port}/api`;
+
+describe('Offline queue:', function() {
+  before(function() {
+    return TestServer.start(port);
+  })
+
+  // a fetch function that fails with a network error when offline is set
+  const createFetchFunc = () => {
+    const fetchFunc = (url, options) => {
+      if (fetchFunc.offline && options.method !== 'GET') {
+        return Promise.reject(new TypeError('Failed to fetch'));
+      }
+      if (fetchFunc.status) {
+        return Promise.resolve(new Response(null, { status: fetchFunc.status }));
+      }
+      return fetch(url, options);
+    };
+    fetchFunc.offline = false;
+    fetchFunc.status = 0;
+    return fetchFunc;
+  };
+
+  describe('#updateOne()', function() {
+    beforeEach(function() {
+      return TestServer.reset();
+    })
+    it ('should apply change to cached queries while offline', async function() {
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, fetchFunc, offlineQueue: true });
+      dataSource.activate();
+      const options = { afterUpdate: 'replace' };
+      const objects = await dataSource.fetchList('/tasks/', options);
+      fetchFunc.offline = true;
+      const changedObject = { ...objects[4], category: 'religion' };
+      const updatedObject = await dataSource.updateOne('/tasks/', changedObject);
+      expect(updatedObject).to.have.property('category', 'religion');
+      expect(dataSource.mutations).to.have.length(1);
+      const objectsAfter = await dataSource.fetchList('/tasks/', options);
+      expect(objectsAfter[4]).to.have.property('category', 'religion');
+      const serverObject = await dataSource.get(`${baseURL}/tasks/5/`);
+      expect(serverObject).to.have.property('category', 'drinking');
+    })
+    it ('should send queued changes to the server once it is reachable', async function() {
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, fetchFunc, offlineQueue: true });
+      dataSource.activate();
+      fetchFunc.offline = true;
+      await dataSource.patchOne('/tasks/', { id: 5, category: 'religion' });
+      await dataSource.patchOne('/tasks/', { id: 5, title: 'Pray' });
+      await dataSource.deleteOne('/tasks/', { id: 6 });
+      expect(dataSource.mutations).to.have.length(3);
+      fetchFunc.offline = false;
+      await dataSource.replayMutations();
+      expect(dataSource.mutations).to.have.length(0);
+      const serverObject = await dataSource.get(`${baseURL}/tasks/5/`);
+      expect(serverObject).to.have.property('category', 'religion');
+      expect(serverObject).to.have.property('title', 'Pray');
+      try {
+        await dataSource.get(`${baseURL}/tasks/6/`);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 404);
+      }
+    })
+    it ('should emit a replayconflict event when the server reports a conflict', async function() {
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, fetchFunc, offlineQueue: true });
+      dataSource.activate();
+      let conflictEvent;
+      dataSource.addEventListener('replayconflict', (evt) => {
+        conflictEvent = evt;
+      });
+      fetchFunc.offline = true;
+      await dataSource.updateOne('/tasks/', { id: 5, category: 'religion' });
+      fetchFunc.offline = false;
+      fetchFunc.status = 409;
+      await dataSource.replayMutations();
+      expect(conflictEvent).to.have.property('operation', 'update');
+      expect(conflictEvent).to.have.property('object').that.has.property('id', 5);
+      expect(conflictEvent).to.have.property('error').that.has.property('status', 409);
+      expect(dataSource.mutations).to.have.length(0);
+    })
+    it ('should emit a replayfailure event when the server rejects a change', async function() {
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, fetchFunc, offlineQueue: true });
+      dataSource.activate();
+      let failureEvent;
+      dataSource.addEventListener('replayfailure', (evt) => {
+        failureEvent = evt;
+      });
+      fetchFunc.offline = true;
+      await dataSource.updateOne('/tasks/', { id: 500, category: 'religion' });
+      await dataSource.updateOne('/tasks/', { id: 5, category: 'religion' });
+      fetchFunc.offline = false;
+      await dataSource.replayMutations();
+      expect(failureEvent).to.have.property('error').that.has.property('status', 404);
+      // the second one should go through
+      const serverObject = await dataSource.get(`${baseURL}/tasks/5/`);
+      expect(serverObject).to.have.property('category', 'religion');
+    })
+    it ('should save queued changes to storage', async function() {
+      const storage = new MemoryStorage;
+      const fetchFunc = createFetchFunc();
+      const dataSource1 = new DataSource({ baseURL, fetchFunc, storage, offlineQueue: true });
+      dataSource1.activate();
+      fetchFunc.offline = true;
+      await dataSource1.insertOne('/tasks/', { title: 'Pray' });
+
+      fetchFunc.offline = false;
+      const dataSource2 = new DataSource({ baseURL, fetchFunc, storage, offlineQueue: true });
+      dataSource2.activate();
+      await dataSource2.replayMutations();
+      const objects = await dataSource2.fetchList('/tasks/');
+      expect(objects).to.have.length(101);
+      expect(objects[100]).to.have.property('title', 'Pray');
+    })
+    it ('should keep placeholders of optimistic inserts until the queue is replayed', async function() {
+      const storage = new MemoryStorage;
+      const fetchFunc = createFetchFunc();
+      const dataSource = new DataSource({ baseURL, fetchFunc, storage, offlineQueue: true });
+      dataSource.activate();
+      const options = { afterInsert: 'push' };
+      await dataSource.fetchList('/tasks/', options);
+      fetchFunc.offline = true;
+      await dataSource.insertOne('/tasks/', { title: 'Pray' }, { optimistic: true });
+      const objects1 = await dataSource.fetchList('/tasks/', options);
+      expect(objects1).to.have.length(101);
+      expect(objects1[100]).to.have.property('id').that.matches(/^temp-/);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const entries = await storage.load('queries');
+      const savedObjects = entries[0].objects;
+      expect(savedObjects).to.have.length(100);
+
+      fetchFunc.offline = false;
+      await dataSource.replayMutations();
+      const objects2 = await dataSource.fetchList('/tasks/', options);
+      expect(objects2).to.have.length(101);
+      expect(objects2[100]).to.have.property('id', 101);
+      expect(objects2[100]).to.have.property('title', 'Pray');
+    })
+    it ('should not queue a change when the response cannot be parsed', async function() {
+      const fetchFunc = (url, options) => {
+        const headers = { 'Content-Type': 'text/plain' };
+        return Promise.resolve(new Response('Created', { status: 201, headers }));
+      };
+      const dataSource = new DataSource({ baseURL, fetchFunc, offlineQueue: true });
+      dataSource.activate();
+      try {
+        await dataSource.insertOne('/tasks/', { title: 'Pray' });
+        expect.fail();
+      } catch (err) {
+        expect(err).to.be.instanceof(SyntaxError);
+      }
+      expect(dataSource.mutations).to.have.length(0);
+    })
+  })
+  after(function() {
+    return TestServer.stop();
+  })
+})
@@ -0,0 +1,154 @@
+import { expect } from 'chai';
+import TestServer from './lib/test-server.js';
+import DataSource from '../src/index.mjs';
+
+const port = 7777;
+const baseURL = `http://localhost:${port}/api`;
+const loginURL = `http://localhost:${port}/login`;
+
+describe('Non-JSON resources:', function() {
+  before(function() {
+    return TestServer.start(port);
+  })
+  describe('#fetchBlob()', function() {
+    it ('should fetch a file as a Blob', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const blob = await dataSource.fetchBlob('/logo.png');
+      expect(blob).to.be.instanceof(Blob);
+      expect(blob).to.have.property('type', 'image/png');
+      expect(blob).to.have.property('size', 68);
+    })
+    it ('should return a cached Blob when called a second time', async function() {
+      let count = 0;
+      const fetchFunc = (url, options) => {
+        count++;
+        return fetch(url, options);
+      };
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      const blob1 = await dataSource.fetchBlob('/logo.png');
+      const blob2 = await dataSource.fetchBlob('/logo.png');
+      expect(blob2).to.equal(blob1);
+      expect(count).to.equal(1);
+      expect(dataSource.isCached('/logo.png')).to.be.true;
+    })
+    it ('should not report a change when a refreshed Blob is the same', async function() {
+      // ignore validators, so that the file is always sent again
+      let count = 0;
+      const fetchFunc = (url, options) => {
+        count++;
+        const headers = { ...options.headers };
+        delete headers['If-None-Match'];
+        delete headers['If-Modified-Since'];
+        return fetch(url, { ...options, headers });
+      };
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      let changeEvent = null;
+      dataSource.addEventListener('change', (evt) => {
+        changeEvent = evt;
+      });
+      const blob1 = await dataSource.fetchBlob('/logo.png');
+      dataSource.invalidate();
+      changeEvent = null;
+      const blob2 = await dataSource.fetchBlob('/logo.png');
+      expect(blob2).to.equal(blob1);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(count).to.equal(2);
+      expect(changeEvent).to.be.null;
+      const blob3 = await dataSource.fetchBlob('/logo.png');
+      expect(blob3).to.equal(blob1);
+    })
+    it ('should not cache a Blob when cache is false', async function() {
+      let count = 0;
+      const fetchFunc = (url, options) => {
+        count++;
+        return fetch(url, options);
+      };
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      const blob1 = await dataSource.fetchBlob('/logo.png', { cache: false });
+      const blob2 = await dataSource.fetchBlob('/logo.png', { cache: false });
+      expect(blob1).to.be.instanceof(Blob);
+      expect(blob2).to.not.equal(blob1);
+      expect(count).to.equal(2);
+      expect(dataSource.isCached('/logo.png')).to.be.false;
+    })
+  })
+  describe('#fetchText()', function() {
+    it ('should fetch a file as text', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const text = await dataSource.fetchText('/tasks.csv');
+      const lines = text.split('\n');
+      expect(lines[0]).to.equal('id,title,category');
+      expect(lines).to.have.length(101);
+    })
+    it ('should fetch the file again after it has been invalidated', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const text1 = await dataSource.fetchText('/tasks.csv');
+      await TestServer.remove(100);
+      dataSource.invalidate();
+      const text2 = await dataSource.fetchText('/tasks.csv');
+      expect(text2).to.equal(text1);
+      await dataSource.waitForEvent('change');
+      const text3 = await dataSource.fetchText('/tasks.csv');
+      expect(text3.split('\n')).to.have.length(100);
+    })
+  })
+  describe('#get()', function() {
+    before(function() {
+      return TestServer.reset();
+    })
+    it ('should use parser registered for content type', async function() {
+      const parseCSV = (response) => {
+        return response.text().then((text) => {
+          return text.split('\n').map(line => line.split(','));
+        });
+      };
+      const dataSource = new DataSource({ baseURL, responseParsers: { 'text/csv': parseCSV } });
+      dataSource.activate();
+      const rows = await dataSource.get(`${baseURL}/tasks.csv`);
+      expect(rows[0]).to.eql([ 'id', 'title', 'category' ]);
+      expect(rows[1]).to.eql([ '1', 'Task #1', 'drinking' ]);
+    })
+    it ('should match parser using wildcard', async function() {
+      const parsers = { 'image/*': (response) => response.arrayBuffer() };
+      const dataSource = new DataSource({ baseURL, responseParsers: parsers });
+      dataSource.activate();
+      const data = await dataSource.get(`${baseURL}/logo.png`);
+      expect(data).to.be.instanceof(ArrayBuffer);
+      expect(data).to.have.property('byteLength', 68);
+    })
+    it ('should still parse JSON when there is no matching parser', async function() {
+      const parsers = { 'text/csv': (response) => response.text() };
+      const dataSource = new DataSource({ baseURL, responseParsers: parsers });
+      dataSource.activate();
+      const object = await dataSource.get(`${baseURL}/tasks/5/`);
+      expect(object).to.have.property('id', 5);
+    })
+  })
+  describe('(authentication)', function() {
+    before(function() {
+      return TestServer.reset({ authentication: true });
+    })
+    it ('should request authentication when fetching a file', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      let authenticationEvent;
+      dataSource.addEventListener('authentication', (evt) => {
+        authenticationEvent = evt;
+        const credentials = { username: 'sam', password: 'beer' };
+        dataSource.authenticate(loginURL, credentials);
+      });
+      const blob = await dataSource.fetchBlob('/logo.png');
+      expect(authenticationEvent).to.have.property('url', `${baseURL}/logo.png`);
+      expect(blob).to.have.property('size', 68);
+    })
+  })
+  after(function() {
+    return TestServer.stop();
+  })
+})
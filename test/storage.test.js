@@ -0,0 +1,181 @@
+import { expect } from 'chai';
+import TestServer from './lib/test-server.js';
+import DataSource, { MemoryStorage, LocalStorage, IndexedDBStorage } from '../src/index.mjs';
+
+const port = 7777;
+const baseURL = `http://localhost:${port}/api`;
+
+describe('Storage:', function() {
+  before(function() {
+    return TestServer.start(port);
+  })
+  describe('#saveQueries()', function() {
+    it ('should save queries to storage', async function() {
+      const storage = new MemoryStorage;
+      const dataSource = new DataSource({ baseURL, storage });
+      dataSource.activate();
+      await dataSource.fetchOne('/tasks/5/');
+      await dataSource.fetchList('/tasks/');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const entries = await storage.load('queries');
+      expect(entries).to.have.length(2);
+      const listEntry = entries.find(e => e.type === 'list');
+      expect(listEntry).to.have.property('objects').with.length(100);
+      expect(listEntry).to.have.property('total', 100);
+      expect(listEntry).to.have.property('time').that.is.a('string');
+    })
+    it ('should not save queries with hook functions', async function() {
+      const storage = new MemoryStorage;
+      const dataSource = new DataSource({ baseURL, storage });
+      dataSource.activate();
+      const options = { afterInsert: (objects) => objects };
+      await dataSource.fetchList('/tasks/', options);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const entries = await storage.load('queries');
+      expect(entries).to.have.length(0);
+    })
+  })
+  describe('#restoreQueries()', function() {
+    it ('should restore queries saved earlier as expired queries', async function() {
+      const storage = new MemoryStorage;
+      const dataSource1 = new DataSource({ baseURL, storage });
+      dataSource1.activate();
+      const objects1 = await dataSource1.fetchPage('/tasks/', 1);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const dataSource2 = new DataSource({ baseURL, storage });
+      await dataSource2.waitForEvent('change', 100);
+      expect(dataSource2.isCached('/tasks/')).to.be.true;
+      expect(dataSource2.isCached('/tasks/', true)).to.be.false;
+
+      // should be available without activation
+      const objects2 = await dataSource2.fetchPage('/tasks/', 1);
+      expect(objects2).to.deep.equal(objects1);
+      expect(objects2).to.have.property('total', objects1.total);
+    })
+    it ('should refresh restored queries', async function() {
+      const storage = new MemoryStorage;
+      const dataSource1 = new DataSource({ baseURL, storage });
+      dataSource1.activate();
+      const objects1 = await dataSource1.fetchList('/tasks/');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await TestServer.update(objects1[0].id, { category: 'bingo' });
+
+      const dataSource2 = new DataSource({ baseURL, storage });
+      dataSource2.activate();
+      await dataSource2.waitForEvent('change', 100);
+      const objects2 = await dataSource2.fetchList('/tasks/');
+      expect(objects2[0]).to.have.property('category', 'drinking');
+      expect(objects2).to.have.property('more').that.is.instanceof(Function);
+      await dataSource2.waitForEvent('change', 100);
+      const objects3 = await dataSource2.fetchList('/tasks/');
+      expect(objects3[0]).to.have.property('category', 'bingo');
+      expect(dataSource2.isCached('/tasks/', true)).to.be.true;
+    })
+  })
+  describe('(LocalStorage)', function() {
+    // make localStorage behave as though it's full
+    const exceedQuota = () => {
+      const proto = Object.getPrototypeOf(localStorage);
+      const setItem = proto.setItem;
+      proto.setItem = function() {
+        throw new DOMException('The quota has been exceeded', 'QuotaExceededError');
+      };
+      return () => {
+        proto.setItem = setItem;
+      };
+    };
+
+    it ('should save and load an entry', async function() {
+      const storage = new LocalStorage('storage-test');
+      await storage.save('queries', [ { type: 'object', url: '/tasks/5/' } ]);
+      const entries = await storage.load('queries');
+      expect(entries).to.deep.equal([ { type: 'object', url: '/tasks/5/' } ]);
+      await storage.remove('queries');
+      const removed = await storage.load('queries');
+      expect(removed).to.be.undefined;
+    })
+    it ('should reject when a value cannot be serialized', async function() {
+      const storage = new LocalStorage('storage-test');
+      const value = {};
+      value.self = value;
+      try {
+        await storage.save('queries', value);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.be.instanceof(TypeError);
+      }
+    })
+    it ('should reject when the quota is exceeded', async function() {
+      const storage = new LocalStorage('storage-test');
+      const restore = exceedQuota();
+      try {
+        await storage.save('queries', []);
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('name', 'QuotaExceededError');
+      } finally {
+        restore();
+      }
+    })
+    it ('should continue to work when queries cannot be saved', async function() {
+      const storage = new LocalStorage('storage-test');
+      const dataSource = new DataSource({ baseURL, storage });
+      dataSource.activate();
+      const restore = exceedQuota();
+      try {
+        const object = await dataSource.fetchOne('/tasks/5/');
+        expect(object).to.have.property('id', 5);
+        await new Promise(resolve => setTimeout(resolve, 100));
+      } finally {
+        restore();
+      }
+      expect(dataSource.isCached('/tasks/5/')).to.be.true;
+    })
+    it ('should restore queries saved by another data source', async function() {
+      const storage = new LocalStorage('storage-test');
+      const dataSource1 = new DataSource({ baseURL, storage });
+      dataSource1.activate();
+      await dataSource1.fetchOne('/tasks/5/');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const dataSource2 = new DataSource({ baseURL, storage });
+      await dataSource2.waitForEvent('change', 100);
+      expect(dataSource2.isCached('/tasks/5/')).to.be.true;
+    })
+  })
+  describe('(IndexedDBStorage)', function() {
+    it ('should save and load an entry', async function() {
+      const storage = new IndexedDBStorage('storage-test');
+      await storage.save('queries', [ { type: 'object', url: '/tasks/5/' } ]);
+      const entries = await storage.load('queries');
+      expect(entries).to.deep.equal([ { type: 'object', url: '/tasks/5/' } ]);
+      await storage.remove('queries');
+      const removed = await storage.load('queries');
+      expect(removed).to.be.undefined;
+    })
+    it ('should reject when a value cannot be cloned', async function() {
+      const storage = new IndexedDBStorage('storage-test');
+      try {
+        await storage.save('queries', { hook: () => {} });
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('name', 'DataCloneError');
+      }
+    })
+    it ('should restore queries saved by another data source', async function() {
+      const storage = new IndexedDBStorage('storage-test');
+      const dataSource1 = new DataSource({ baseURL, storage });
+      dataSource1.activate();
+      await dataSource1.fetchOne('/tasks/5/');
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const dataSource2 = new DataSource({ baseURL, storage: new IndexedDBStorage('storage-test') });
+      await dataSource2.waitForEvent('change', 100);
+      expect(dataSource2.isCached('/tasks/5/')).to.be.true;
+    })
+  })
+  after(function() {
+    return TestServer.stop();
+  })
+})
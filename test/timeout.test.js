@@ -0,0 +1,161 @@
+import { expect } from 'chai';
+import TestServer from './lib/test-server.js';
+import DataSource, { DataSourceError, TimeoutError } from '../src/index.mjs';
+
+const port = 7777;
+const baseURL = `http://localhost:${port}/api`;
+
+describe('Timeouts and cancellation:', function() {
+  before(function() {
+    return TestServer.start(port);
+  })
+
+  // a fetch function that waits for the given amount of time before sending the request
+  const createFetchFunc = (delay) => {
+    return (url, options) => {
+      return new Promise((resolve, reject) => {
+        const { signal } = options;
+        const timeout = setTimeout(() => {
+          resolve(fetch(url, options));
+        }, delay);
+        if (signal) {
+          signal.addEventListener('abort', () => {
+            clearTimeout(timeout);
+            const err = new Error('The operation was aborted');
+            err.name = 'AbortError';
+            reject(err);
+          });
+        }
+      });
+    };
+  };
+
+  describe('(timeout)', function() {
+    it ('should fail with a TimeoutError when a request takes too long', async function() {
+      const fetchFunc = createFetchFunc(200);
+      const dataSource = new DataSource({ baseURL, fetchFunc, timeout: 50 });
+      dataSource.activate();
+      try {
+        await dataSource.fetchOne('/tasks/5/');
+        expect.fail();
+      } catch (err) {
+        expect(err).to.be.instanceof(TimeoutError);
+        expect(err).to.be.instanceof(DataSourceError);
+        expect(err).to.have.property('timeout', 50);
+      }
+      expect(dataSource.queries).to.have.length(0);
+    })
+    it ('should accept a timeout for an individual call', async function() {
+      const fetchFunc = createFetchFunc(100);
+      const dataSource = new DataSource({ baseURL, fetchFunc, timeout: 50 });
+      dataSource.activate();
+      const objects = await dataSource.fetchList('/tasks/', { timeout: 500 });
+      expect(objects).to.have.length(100);
+      try {
+        await dataSource.updateOne('/tasks/', { ...objects[0], category: 'religion' }, { timeout: 20 });
+        expect.fail();
+      } catch (err) {
+        expect(err).to.be.instanceof(TimeoutError);
+      }
+    })
+    it ('should not treat timeout as part of the query', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const objects1 = await dataSource.fetchPage('/tasks/', 1, { timeout: 1000 });
+      const objects2 = await dataSource.fetchPage('/tasks/', 1);
+      expect(objects2).to.equal(objects1);
+    })
+  })
+  describe('(signal)', function() {
+    it ('should cancel a request', async function() {
+      const fetchFunc = createFetchFunc(100);
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      const controller = new AbortController;
+      const promise = dataSource.fetchPage('/tasks/', 1, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+      try {
+        await promise;
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('name', 'AbortError');
+      }
+      expect(dataSource.queries).to.have.length(0);
+
+      // query should be performed again
+      const objects = await dataSource.fetchPage('/tasks/', 1);
+      expect(objects).to.have.length(100);
+    })
+    it ('should cancel a request for multiple objects', async function() {
+      const fetchFunc = createFetchFunc(100);
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      const controller = new AbortController;
+      const urls = [ '/tasks/1/', '/tasks/2/', '/tasks/3/' ];
+      const promise = dataSource.fetchMultiple(urls, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+      try {
+        await promise;
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('name', 'AbortError');
+      }
+      expect(dataSource.queries).to.have.length(0);
+    })
+    it ('should fail when the signal has already been aborted', async function() {
+      const fetchFunc = createFetchFunc(100);
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      const controller = new AbortController;
+      controller.abort();
+      try {
+        await dataSource.fetchOne('/tasks/5/', { signal: controller.signal });
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('name', 'AbortError');
+      }
+      expect(dataSource.queries).to.have.length(0);
+    })
+    it ('should not cancel a request that another caller is waiting for', async function() {
+      const fetchFunc = createFetchFunc(100);
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      const controller = new AbortController;
+      const promise1 = dataSource.fetchOne('/tasks/5/', { signal: controller.signal });
+      const promise2 = dataSource.fetchOne('/tasks/5/');
+      setTimeout(() => controller.abort(), 20);
+      try {
+        await promise1;
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('name', 'AbortError');
+      }
+      const object = await promise2;
+      expect(object).to.have.property('id', 5);
+      expect(dataSource.isCached('/tasks/5/')).to.be.true;
+    })
+    it ('should cancel a shared request when every caller has aborted', async function() {
+      const fetchFunc = createFetchFunc(100);
+      const dataSource = new DataSource({ baseURL, fetchFunc });
+      dataSource.activate();
+      const controller1 = new AbortController;
+      const controller2 = new AbortController;
+      const promise1 = dataSource.fetchList('/tasks/', { signal: controller1.signal });
+      const promise2 = dataSource.fetchList('/tasks/', { signal: controller2.signal });
+      setTimeout(() => controller1.abort(), 10);
+      setTimeout(() => controller2.abort(), 20);
+      for (let promise of [ promise1, promise2 ]) {
+        try {
+          await promise;
+          expect.fail();
+        } catch (err) {
+          expect(err).to.have.property('name', 'AbortError');
+        }
+      }
+      expect(dataSource.queries).to.have.length(0);
+    })
+  })
+  after(function() {
+    return TestServer.stop();
+  })
+})
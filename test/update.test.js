@@ -29,6 +29,21 @@ describe('Update methods:', function() {
         const fetchedObject = await dataSource.get(`${baseURL}/tasks/6`);
         expect(fetchedObject).to.have.property('category', 'religion');
       })
+      it ('should update an object with a file attached', async function() {
+        const dataSource = new DataSource({ baseURL });
+        dataSource.activate();
+        const objects = await dataSource.fetchList('/tasks/', { afterUpdate: 'replace' });
+        const object = objects.find(obj => obj.id === 7);
+        const attachment = new File([ 'Hello world' ], 'receipt.txt', { type: 'text/plain' });
+        const changedObject = { ...object, category: 'shopping', attachment };
+        const updatedObject = await dataSource.updateOne('/tasks/', changedObject);
+        expect(updatedObject).to.have.property('attachment', `http://localhost:${port}/media/receipt.txt`);
+
+        // list should have been updated by hook
+        const cachedObjects = await dataSource.fetchList('/tasks/', { afterUpdate: 'replace' });
+        const cachedObject = cachedObjects.find(obj => obj.id === 7);
+        expect(cachedObject).to.deep.equal(updatedObject);
+      })
       it ('should fail with status code 404 when object does not exist', async function() {
         const dataSource = new DataSource({ baseURL });
         dataSource.activate();
@@ -148,7 +163,113 @@ describe('Update methods:', function() {
       expect(dataSource.isCached('/tasks/')).to.be.true;
       expect(dataSource.isCached('/tasks/', true)).to.be.false;
     })
+    describe('(optimistic)', function() {
+      before(function() {
+        return TestServer.reset();
+      })
+      const rejectPUT = (url, options) => {
+        if (options.method === 'PUT') {
+          return Promise.resolve(new Response(null, { status: 400, statusText: 'Bad Request' }));
+        }
+        return fetch(url, options);
+      };
+
+      it ('should apply changes to cached queries before the server responds', async function() {
+        const dataSource = new DataSource({ baseURL });
+        dataSource.activate();
+        const options = { afterUpdate: 'replace' };
+        const objects = await dataSource.fetchList('/tasks/', options);
+        const object = await dataSource.fetchOne('/tasks/3');
+        const changedObject = { ...object, category: 'religion' };
+        let changeCount = 0;
+        dataSource.addEventListener('change', (evt) => {
+          changeCount++;
+        });
+        const promise = dataSource.updateMultiple('/tasks/', [ changedObject ], { optimistic: true });
+        expect(changeCount).to.equal(1);
+        const cachedObject = await dataSource.fetchOne('/tasks/3');
+        expect(cachedObject).to.have.property('category', 'religion');
+        const cachedObjects = await dataSource.fetchList('/tasks/', options);
+        expect(cachedObjects.find(o => o.id === 3)).to.have.property('category', 'religion');
+        await promise;
+        const fetchedObject = await dataSource.get(`${baseURL}/tasks/3`);
+        expect(fetchedObject).to.have.property('category', 'religion');
+      })
+      it ('should restore cached queries when the server rejects the change', async function() {
+        const dataSource = new DataSource({ baseURL, fetchFunc: rejectPUT });
+        dataSource.activate();
+        const options = { afterUpdate: 'replace' };
+        const objects = await dataSource.fetchList('/tasks/', options);
+        const object = await dataSource.fetchOne('/tasks/4');
+        const changedObject = { ...object, category: 'religion' };
+        let changeCount = 0;
+        dataSource.addEventListener('change', (evt) => {
+          changeCount++;
+        });
+        try {
+          await dataSource.updateOne('/tasks/', changedObject, { optimistic: true });
+          expect.fail();
+        } catch (err) {
+          expect(err).to.have.property('status', 400);
+        }
+        expect(changeCount).to.equal(2);
+        const cachedObject = await dataSource.fetchOne('/tasks/4');
+        expect(cachedObject).to.equal(object);
+        const cachedObjects = await dataSource.fetchList('/tasks/', options);
+        expect(cachedObjects).to.equal(objects);
+        expect(dataSource.isCached('/tasks/', true)).to.be.true;
+      })
+    })
   });
+  describe('#patchOne()', function() {
+    before(function() {
+      return TestServer.reset();
+    })
+    it ('should update only the given properties of an object', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const object = await dataSource.fetchOne('/tasks/7');
+      await TestServer.update(7, { title: 'Something else' });
+      const updatedObject = await dataSource.patchOne('/tasks/', { id: 7, category: 'religion' });
+      expect(updatedObject).to.have.property('category', 'religion');
+      expect(updatedObject).to.have.property('title', 'Something else');
+      expect(updatedObject).to.have.property('description', object.description);
+
+      // server response should be cached
+      const cachedObject = await dataSource.fetchOne('/tasks/7');
+      expect(cachedObject).to.deep.equal(updatedObject);
+    })
+    it ('should fail with status code 404 when object does not exist', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      try {
+        await dataSource.patchOne('/tasks/', { id: 101, category: 'religion' });
+        expect.fail();
+      } catch (err) {
+        expect(err).to.have.property('status', 404);
+      }
+    })
+  })
+  describe('#patchMultiple()', function() {
+    before(function() {
+      return TestServer.reset();
+    })
+    it ('should replace objects in list query afterward when "replace" is specified', async function() {
+      const dataSource = new DataSource({ baseURL });
+      dataSource.activate();
+      const options = { afterUpdate: 'replace' };
+      const objects = await dataSource.fetchList('/tasks/', options);
+      const changes = objects.slice(0, 5).map((object) => {
+        return { id: object.id, category: 'religion' };
+      });
+      await dataSource.patchMultiple('/tasks/', changes);
+      const objectsAfter = await dataSource.fetchList('/tasks/', options);
+      for (let [ index, object ] of objectsAfter.slice(0, 5).entries()) {
+        expect(object).to.have.property('category', 'religion');
+        expect(object).to.have.property('title', objects[index].title);
+      }
+    })
+  })
   after(function() {
     return TestServer.stop();
   })